@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+const path = require('path');
+const config = require('../config');
+const hashChain = require('../engine/hashChain');
+
+/**
+ * Generate a hash chain offline and store it for the server to pick up
+ *
+ * Usage: npm run chain:generate -- [--table main] [--length 10000] [--dir ./data/seeds/main]
+ *
+ * Each table reads chains from its own subdirectory of SEEDS.DATA_DIR
+ * (--table picks it; --dir overrides the directory entirely).
+ * The printed terminal hash is the public commitment for the chain. The server
+ * activates stored chains oldest first and records a rotation when it does.
+ */
+
+function parseArgs(argv) {
+  const args = { length: config.SEEDS.CHAIN_LENGTH, table: config.DEFAULT_TABLE_ID, dir: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--length') {
+      args.length = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--table') {
+      args.table = argv[++i];
+    } else if (argv[i] === '--dir') {
+      args.dir = argv[++i];
+    } else {
+      throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+
+  if (!args.dir) {
+    if (!config.TABLES.some(table => table.ID === args.table)) {
+      throw new Error(`Unknown table ${args.table}`);
+    }
+    args.dir = path.join(config.SEEDS.DATA_DIR, args.table);
+  }
+
+  return args;
+}
+
+try {
+  const { length, dir } = parseArgs(process.argv.slice(2));
+  const chain = hashChain.generateChain(length);
+  const filePath = hashChain.saveChain(dir, chain);
+
+  console.log(`Chain ID:      ${chain.id}`);
+  console.log(`Length:        ${chain.length}`);
+  console.log(`Terminal hash: ${chain.terminalHash}`);
+  console.log(`Stored at:     ${filePath}`);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
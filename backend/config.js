@@ -1,35 +1,178 @@
+const path = require('path');
+
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 3001,
 
-  // Provider secret for HMAC signature validation
-  PROVIDER_SECRET: process.env.PROVIDER_SECRET || 'your-provider-secret-key-change-in-production',
+  // Casino platforms allowed to open sessions, by operator ID
+  // SECRET signs /session/init requests and the provider's callbacks
+  // CALLBACK_URLS are the only callbackBaseUrl values a session may use
+  // CURRENCIES lists the operator's currencies (from CURRENCIES below), each with optional
+  // MIN_BET / MAX_BET / MAX_ROUND_TOTAL / MAX_WIN that narrow the limits for the operator's players
+  // ODDS_PROFILE (optional) restricts the operator's players to tables running that profile
+  // THEME sets the iframes' BRAND_NAME and #rrggbb BACKGROUND, BACKGROUND_GLOW and ACCENT colors
+  // TRANSACTIONS_URL (optional) is the platform's transaction export, read by the reconciliation job
+  OPERATORS: {
+    'demo-casino': {
+      NAME: 'Demo Casino',
+      SECRET: process.env.DEMO_CASINO_SECRET || 'your-provider-secret-key-change-in-production',
+      CALLBACK_URLS: ['http://localhost:4001/game-callbacks'],
+      TRANSACTIONS_URL: 'http://localhost:4001/api/transactions',
+      CURRENCIES: {
+        EUR: { MAX_BET: '1000' },
+        JPY: { MAX_BET: '150000' },
+        BTC: {},
+      },
+      THEME: {
+        BRAND_NAME: 'Demo Casino',
+        BACKGROUND: '#0a0a1a',
+        BACKGROUND_GLOW: '#1a0a2e',
+        ACCENT: '#ffd700',
+      },
+    },
+  },
+
+  // Currencies bets can be placed in
+  // DECIMALS: digits of the minor unit (amounts are integers of minor units, decimal strings on the wire)
+  // MIN_BET / MAX_BET / MAX_ROUND_TOTAL / MAX_WIN are decimal amounts; tables and operators can
+  // only narrow them. MAX_ROUND_TOTAL caps one player's bets in a round, MAX_WIN one bet's payout
+  // MAX_ROUND_LIABILITY caps what a round can pay out on any one outcome, across all players;
+  // tables can narrow it, operators cannot (a round's players share it)
+  CURRENCIES: {
+    EUR: { DECIMALS: 2, MIN_BET: '1', MAX_BET: '10000', MAX_ROUND_TOTAL: '20000', MAX_WIN: '250000', MAX_ROUND_LIABILITY: '500000' },
+    USD: { DECIMALS: 2, MIN_BET: '1', MAX_BET: '10000', MAX_ROUND_TOTAL: '20000', MAX_WIN: '250000', MAX_ROUND_LIABILITY: '500000' },
+    JPY: { DECIMALS: 0, MIN_BET: '100', MAX_BET: '1500000', MAX_ROUND_TOTAL: '3000000', MAX_WIN: '37500000', MAX_ROUND_LIABILITY: '75000000' },
+    BTC: { DECIMALS: 8, MIN_BET: '0.00001', MAX_BET: '0.1', MAX_ROUND_TOTAL: '0.2', MAX_WIN: '2.5', MAX_ROUND_LIABILITY: '5' },
+  },
 
   // Game configuration
   GAME: {
     ROUND_DELAY_MS: 2000,           // Delay between rounds
     BETTING_PHASE_MS: 30000,        // Time for players to place bets (30 seconds)
     RESULT_REVEAL_MS: 5000,         // Time to show result before next round
-    MIN_BET: 1,
-    MAX_BET: 100000000000,
-    PAYOUT_MULTIPLIER: 1.95,        // Payout multiplier for HEADS/TAILS (1.95x = 2.5% house edge)
-    EDGE_MULTIPLIER: 10.0,          // Payout multiplier for EDGE (higher reward)
-    // Probabilities (must add up to 100)
-    PROBABILITY_HEADS: 48.65,          // 45% chance
-    PROBABILITY_TAILS: 48.65,          // 45% chance
-    PROBABILITY_EDGE: 2.7,           // 10% chance (rare)
+    CANCEL_LOCKOUT_MS: 3000,        // Bets cannot be cancelled this close to betting closing
+    ODDS_PROFILE: process.env.ODDS_PROFILE || 'legacy', // Probabilities and payouts, see ODDS_PROFILES
+    // PRECOMMITTED: result fixed when the round is generated
+    // PLAYER_ENTROPY: round client seed derived from players' client seeds after betting closes
+    RESULT_MODE: process.env.RESULT_MODE || 'PRECOMMITTED',
+    // Result derivation algorithm recorded on every round (1 = legacy first byte, 2 = exact odds)
+    ALGORITHM_VERSION: 2,
+  },
+
+  // Named odds profiles, selected with ODDS_PROFILE (globally or per table)
+  // Probabilities are percentages adding up to 100 and multipliers are payouts, both with at most two decimals
+  // Startup fails unless every outcome's probability x multiplier is within ODDS_RTP_TOLERANCE of RTP
+  // (one number for every outcome, or { HEADS, TAILS, EDGE } for outcomes that pay back differently)
+  ODDS_PROFILES: {
+    // The original game's odds and payouts; EDGE returns far less than HEADS and TAILS
+    legacy: {
+      NAME: 'Classic',
+      RTP: { HEADS: 94.87, TAILS: 94.87, EDGE: 27 },
+      PROBABILITIES: { HEADS: 48.65, TAILS: 48.65, EDGE: 2.7 },
+      MULTIPLIERS: { HEADS: 1.95, TAILS: 1.95, EDGE: 10 },
+    },
+    'rtp-97': {
+      NAME: '97% RTP',
+      RTP: 97,
+      PROBABILITIES: { HEADS: 48.5, TAILS: 48.5, EDGE: 3 },
+      MULTIPLIERS: { HEADS: 2, TAILS: 2, EDGE: 32.33 },
+    },
+    'rtp-95': {
+      NAME: '95% RTP',
+      RTP: 95,
+      PROBABILITIES: { HEADS: 47.5, TAILS: 47.5, EDGE: 5 },
+      MULTIPLIERS: { HEADS: 2, TAILS: 2, EDGE: 19 },
+    },
+  },
+  ODDS_RTP_TOLERANCE: 0.05,         // Percentage points
+
+  // Tables running side by side, each with its own seed chain and round loop
+  // Any GAME setting can be overridden per table; LIMITS narrows CURRENCIES limits, by currency
+  TABLES: [
+    { ID: 'main', NAME: 'Classic' },
+    { ID: 'fast', NAME: 'Fast', BETTING_PHASE_MS: 10000, RESULT_REVEAL_MS: 3000, ODDS_PROFILE: 'rtp-95' },
+    {
+      ID: 'high-roller',
+      NAME: 'High Roller',
+      BETTING_PHASE_MS: 45000,
+      LIMITS: { EUR: { MIN_BET: '100' }, USD: { MIN_BET: '100' }, JPY: { MIN_BET: '15000' }, BTC: { MIN_BET: '0.001' } },
+    },
+  ],
+  DEFAULT_TABLE_ID: 'main',
+
+  // Provably fair hash chains (generate with: npm run chain:generate)
+  SEEDS: {
+    DATA_DIR: process.env.SEED_DATA_DIR || path.join(__dirname, '../data/seeds'), // One subdirectory per table
+    CHAIN_LENGTH: 10000,            // Rounds per generated chain
+    // Generate a chain at runtime when none is left (off in production: chains are made offline)
+    AUTO_GENERATE: process.env.SEED_AUTO_GENERATE
+      ? process.env.SEED_AUTO_GENERATE === 'true'
+      : process.env.NODE_ENV !== 'production',
+    EXHAUSTED_RETRY_MS: 10000,      // How often to look for a new chain once the active one runs out
+  },
+
+  // Sessions, round history, active bets, the ledger and callback attempts
+  // memory: lost on restart; jsonl: append-only JSON-lines files, replayed on startup
+  STORAGE: {
+    DRIVER: process.env.STORAGE_DRIVER || 'jsonl',
+    DATA_DIR: process.env.STORAGE_DATA_DIR || path.join(__dirname, '../data/store'), // One file per collection
+    COMPACT_MIN_LINES: 1000,        // Rewrite a collection file once it has at least this many lines
+    COMPACT_RATIO: 4,               // and this many times more lines than live records
+  },
+
+  // Journal of unsettled rounds, replayed on startup (see RoundService.recoverRounds)
+  ROUNDS: {
+    JOURNAL_DIR: process.env.ROUND_JOURNAL_DIR || path.join(__dirname, '../data/rounds'), // One file per table
+    HISTORY_RETENTION_MS: 30 * 24 * 60 * 60 * 1000, // How long finished rounds stay in the round history
   },
 
   // Callback configuration
   CALLBACK: {
     TIMEOUT_MS: 10000,              // Platform callback timeout
-    RETRY_ATTEMPTS: 3,
+    RETRY_ATTEMPTS: 3,              // Per balance, win and rollback callback (bets are never resent)
     RETRY_DELAY_MS: 1000,
+    // Circuit breaker per callbackBaseUrl (see services/platformHealthService.js)
+    BREAKER: {
+      FAILURE_THRESHOLD: 5,         // Consecutive timeouts / transport errors that open the breaker
+      OPEN_MS: 30000,               // How long requests fail fast before a half-open probe
+      LATENCY_SAMPLES: 500,         // Recent requests kept per endpoint for latency percentiles
+    },
+    ATTEMPT_LOG_RETENTION_MS: 7 * 24 * 60 * 60 * 1000, // How long each callback's attempt log is kept
+  },
+
+  // Durable outbox for win and rollback callbacks that still failed after RETRY_ATTEMPTS
+  SETTLEMENT: {
+    DATA_DIR: process.env.SETTLEMENT_DATA_DIR || path.join(__dirname, '../data/settlements'), // Outbox file of earlier versions, imported into storage
+    BASE_DELAY_MS: 5000,            // First retry delay, doubled per attempt
+    MAX_DELAY_MS: 10 * 60 * 1000,   // Backoff cap (retries never stop on their own)
+    POLL_INTERVAL_MS: 1000,
+  },
+
+  // Provider-side ledger of every bet, win and rollback (see services/ledgerService.js)
+  LEDGER: {
+    RETENTION_MS: 90 * 24 * 60 * 60 * 1000, // How long settled legs are kept (pending ones stay)
+  },
+
+  // Reconciliation of the ledger against each operator's TRANSACTIONS_URL export
+  RECONCILIATION: {
+    INTERVAL_MS: Number(process.env.RECONCILIATION_INTERVAL_MS) || 15 * 60 * 1000,
+    WINDOW_MS: 60 * 60 * 1000,      // Each run checks the legs opened in this window
+    SETTLE_MS: 60 * 1000,           // and leaves out the most recent ones, which may still be in flight
+    EXPORT_LIMIT: 10000,            // Most platform transactions read per run
+    TIMEOUT_MS: 30000,
+  },
+
+  // Operator API (send the token in the X-Admin-Token header)
+  ADMIN: {
+    TOKEN: process.env.ADMIN_TOKEN || 'admin-token-change-in-production',
   },
 
   // Session configuration
   SESSION: {
     EXPIRY_MS: 24 * 60 * 60 * 1000, // 24 hours
+    SIGNATURE_MAX_SKEW_MS: 5 * 60 * 1000, // /session/init timestamps must be this close to server time
+    // Development only: accept /session/init without a valid signature
+    ALLOW_UNSIGNED: process.env.ALLOW_UNSIGNED_SESSIONS === 'true',
   }
 };
 
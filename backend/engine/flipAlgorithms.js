@@ -0,0 +1,129 @@
+const { hmacSha256Buffer } = require('../util/hmac');
+
+/**
+ * Versioned flip result algorithms
+ *
+ * Every round records the version it was decided with, so changing the
+ * derivation never breaks verification of historical rounds.
+ *
+ * v1: first HMAC byte scaled to a percentage (256 buckets, odds only approximate)
+ * v2: 32-bit HMAC words rejection-sampled into 10,000 equally likely units,
+ *     exact for any probabilities given to 0.01%
+ */
+
+// Probabilities are percentages with at most two decimals, i.e. 1/10000 units
+const UNITS = 10000;
+
+// Largest multiple of UNITS below 2^32, words at or above it are rejected to avoid modulo bias
+const WORD_LIMIT = 2 ** 32 - (2 ** 32 % UNITS);
+
+// Guard against a pathological seed; each word is rejected with probability ~1.7e-6
+const MAX_CURSOR = 16;
+
+/**
+ * Convert percentage probabilities to integer units, throwing if they are not exact
+ */
+function toUnits(probabilities) {
+  const units = {};
+  let total = 0;
+
+  for (const outcome of ['HEADS', 'TAILS', 'EDGE']) {
+    const value = Math.round(probabilities[outcome] * 100);
+    if (!Number.isFinite(value) || value < 0 || Math.abs(value - probabilities[outcome] * 100) > 1e-6) {
+      throw new Error(`Probability for ${outcome} must be a percentage with at most two decimals`);
+    }
+    units[outcome] = value;
+    total += value;
+  }
+
+  if (total !== UNITS) {
+    throw new Error(`Probabilities must add up to 100 (got ${total / 100})`);
+  }
+
+  return units;
+}
+
+/**
+ * v1 - first byte of HMAC-SHA256(serverSeed, clientSeed:nonce) as a percentage
+ */
+function legacyPercentage(serverSeed, clientSeed, nonce, probabilities) {
+  const hash = hmacSha256Buffer(serverSeed, `${clientSeed}:${nonce}`);
+  const percentage = (hash[0] / 255) * 100;
+
+  let result;
+  if (percentage < probabilities.HEADS) {
+    result = 'HEADS';
+  } else if (percentage < probabilities.HEADS + probabilities.TAILS) {
+    result = 'TAILS';
+  } else {
+    result = 'EDGE';
+  }
+
+  return { result, hash: hash.toString('hex'), roll: percentage };
+}
+
+/**
+ * v2 - read big-endian 32-bit words from HMAC-SHA256(serverSeed, clientSeed:nonce[:cursor])
+ * and take the first word below WORD_LIMIT modulo 10000 as the roll
+ */
+function rejectionSampling(serverSeed, clientSeed, nonce, probabilities) {
+  const units = toUnits(probabilities);
+
+  for (let cursor = 0; cursor < MAX_CURSOR; cursor++) {
+    const message = cursor === 0 ? `${clientSeed}:${nonce}` : `${clientSeed}:${nonce}:${cursor}`;
+    const hash = hmacSha256Buffer(serverSeed, message);
+
+    for (let offset = 0; offset < hash.length; offset += 4) {
+      const word = hash.readUInt32BE(offset);
+      if (word >= WORD_LIMIT) continue;
+
+      const roll = word % UNITS;
+
+      let result;
+      if (roll < units.HEADS) {
+        result = 'HEADS';
+      } else if (roll < units.HEADS + units.TAILS) {
+        result = 'TAILS';
+      } else {
+        result = 'EDGE';
+      }
+
+      return { result, hash: hash.toString('hex'), roll, cursor, offset };
+    }
+  }
+
+  throw new Error('Could not derive a result within the sampling limit');
+}
+
+const ALGORITHMS = {
+  1: legacyPercentage,
+  2: rejectionSampling
+};
+
+/**
+ * Check whether a version can be verified
+ */
+function isSupported(version) {
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, version);
+}
+
+/**
+ * Run an algorithm version and return the result with its intermediate values
+ */
+function calculate(version, serverSeed, clientSeed, nonce, probabilities) {
+  if (!isSupported(version)) {
+    throw new Error(`Unknown algorithm version ${version}. Supported: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  if (!serverSeed || clientSeed === undefined || clientSeed === null || nonce === undefined || nonce === null) {
+    throw new Error('serverSeed, clientSeed and nonce are required');
+  }
+
+  return ALGORITHMS[version](serverSeed, clientSeed, nonce, probabilities);
+}
+
+module.exports = {
+  UNITS,
+  toUnits,
+  isSupported,
+  calculate
+};
@@ -1,95 +1,160 @@
-const { hmacSha256Buffer } = require('../util/hmac');
-const seedManager = require('./seeds');
-const config = require('../config');
+const { sha256 } = require('../util/hmac');
+const flipAlgorithms = require('./flipAlgorithms');
+const money = require('../util/money');
+const { fail } = require('../util/errors');
 
 /**
  * Flip Game Engine
  *
  * Provably Fair Algorithm:
  * - Use HMAC-SHA256(serverSeed, clientSeed:nonce) to generate random value
- * - Take first byte and convert to percentage (0-100)
- * - Use configurable probabilities to determine result: HEADS, TAILS, or EDGE
+ * - Map it onto the odds profile's probabilities with a versioned algorithm (see flipAlgorithms.js)
+ * - Result is HEADS, TAILS, or EDGE
  * - EDGE has lower probability but higher multiplier
+ *
+ * Each table owns one engine, configured with the table's settings
+ * (config.GAME merged with the table's overrides), odds profile and SeedManager.
+ * Finished rounds are kept in the table's rounds collection in storage.
+ * Bet and win amounts are integers in minor units of the bet's currency (see util/money.js).
+ *
+ * The round tracks its liability: per currency, what it would pay out if each outcome won.
+ * A bet that would take an outcome past the currency's maxRoundLiability is rejected
+ * with LIABILITY_LIMIT.
+ *
+ * Result modes (settings.RESULT_MODE):
+ * - PRECOMMITTED: the round client seed is known up front, result is fixed at round generation
+ * - PLAYER_ENTROPY: the round client seed is derived when betting closes from the house seed
+ *   and every accepted bet's client seed, so the result cannot exist before player input does
  */
 
+const RESULT_MODES = ['PRECOMMITTED', 'PLAYER_ENTROPY'];
+
+/**
+ * Key of a liability reservation: a sequence reserved in one round is never taken over in another
+ */
+function reservationKey(roundId, sequence) {
+  return `${roundId}:${sequence}`;
+}
+
+/**
+ * Index key of a position in a seed chain
+ */
+function chainPosition(chainId, chainIndex) {
+  return `${chainId}:${chainIndex}`;
+}
+
 class FlipEngine {
-  constructor() {
+  constructor({ tableId, settings, oddsProfile, seedManager, storage, historyRetentionMs }) {
+    this.tableId = tableId;
+    this.settings = settings;
+    this.oddsProfile = oddsProfile;
+    this.seedManager = seedManager;
     this.currentRound = null;
-    this.roundHistory = [];
+    this.roundHistory = storage.collection(`rounds-${tableId}`); // roundId -> finished round, oldest first
+    this.roundHistory.addIndex('chainPosition', round => (round.chainId ? chainPosition(round.chainId, round.chainIndex) : null));
+    this.historyRetentionMs = historyRetentionMs;
     this.listeners = new Map();
+
+    // Drop finished rounds past their retention
+    if (historyRetentionMs) {
+      setInterval(() => this.pruneHistory(), 60 * 60 * 1000).unref();
+    }
   }
 
   /**
    * Initialize the engine
    */
   initialize() {
-    seedManager.initialize();
-    console.log('[FlipEngine] Initialized');
+    if (!RESULT_MODES.includes(this.settings.RESULT_MODE)) {
+      throw new Error(`Unknown result mode ${this.settings.RESULT_MODE}. Must be one of ${RESULT_MODES.join(', ')}`);
+    }
+
+    if (!flipAlgorithms.isSupported(this.settings.ALGORITHM_VERSION)) {
+      throw new Error(`Unknown algorithm version ${this.settings.ALGORITHM_VERSION}`);
+    }
+
+    this.seedManager.initialize();
+    console.log(`[FlipEngine] Initialized table ${this.tableId}`);
   }
 
   /**
    * Calculate flip result from seeds
    * Returns: 'HEADS', 'TAILS', or 'EDGE'
    */
-  calculateFlipResult(serverSeed, clientSeed, nonce) {
-    // Combine client seed and nonce
-    const message = `${clientSeed}:${nonce}`;
-
-    // Get HMAC-SHA256 hash
-    const hash = hmacSha256Buffer(serverSeed, message);
-
-    // Use first byte (0-255) to determine result
-    const firstByte = hash[0];
-    
-    // Calculate probability ranges (0-100 scale)
-    const probHeads = config.GAME.PROBABILITY_HEADS;
-    const probTails = config.GAME.PROBABILITY_TAILS;
-    const probEdge = config.GAME.PROBABILITY_EDGE;
-    
-    // Convert byte (0-255) to percentage (0-100)
-    const percentage = (firstByte / 255) * 100;
-    
-    // Determine result based on probability ranges
-    let result;
-    if (percentage < probHeads) {
-      result = 'HEADS';
-    } else if (percentage < probHeads + probTails) {
-      result = 'TAILS';
-    } else {
-      result = 'EDGE';
-    }
+  calculateFlipResult(serverSeed, clientSeed, nonce, version = this.settings.ALGORITHM_VERSION, probabilities = null) {
+    return this.explainFlipResult(serverSeed, clientSeed, nonce, version, probabilities).result;
+  }
 
-    return result;
+  /**
+   * Calculate flip result along with the HMAC and roll it was derived from
+   * probabilities defaults to the configured odds; pass a round's own for historical rounds
+   */
+  explainFlipResult(serverSeed, clientSeed, nonce, version = this.settings.ALGORITHM_VERSION, probabilities = null) {
+    return flipAlgorithms.calculate(version, serverSeed, clientSeed, nonce, probabilities || this.getProbabilities());
+  }
+
+  /**
+   * Outcome probabilities of the odds profile (percentages)
+   */
+  getProbabilities() {
+    return { ...this.oddsProfile.probabilities };
+  }
+
+  /**
+   * Derive the round client seed from the house seed and player contributions
+   * Contributions are sorted so the order bets arrived in does not matter
+   */
+  deriveClientSeed(baseClientSeed, contributions) {
+    return sha256([baseClientSeed, ...[...contributions].sort()].join(':'));
   }
 
   /**
    * Generate a new round
    */
   generateRound() {
-    const serverSeed = seedManager.getCurrentServerSeed();
-    const clientSeed = seedManager.getClientSeed();
-    const nonce = seedManager.getNonce();
+    const resultMode = this.settings.RESULT_MODE;
+    const algorithmVersion = this.settings.ALGORITHM_VERSION;
+    const serverSeed = this.seedManager.getCurrentServerSeed();
+    const { chainId, index: chainIndex } = this.seedManager.getPosition();
+    const baseClientSeed = this.seedManager.getClientSeed();
+    const nonce = this.seedManager.getNonce();
 
-    const result = this.calculateFlipResult(serverSeed, clientSeed, nonce);
+    // With player entropy the client seed and result only exist once betting closes
+    const clientSeed = resultMode === 'PRECOMMITTED' ? baseClientSeed : null;
+    const result = clientSeed ? this.calculateFlipResult(serverSeed, clientSeed, nonce, algorithmVersion) : null;
 
     const round = {
-      id: `F-${Date.now()}-${nonce}`,
+      id: `F-${this.tableId}-${Date.now()}-${nonce}`,
+      tableId: this.tableId,
+      resultMode,
+      algorithmVersion,
+      chainId,
+      chainIndex, // Position of serverSeed in its chain (0 hashes to the terminal hash)
+      oddsProfile: this.oddsProfile.id,
+      probabilities: this.getProbabilities(),
+      multipliers: { ...this.oddsProfile.multipliers },
       serverSeed,
-      serverSeedHash: require('../util/hmac').sha256(serverSeed),
+      serverSeedHash: sha256(serverSeed),
+      baseClientSeed,
+      contributions: [], // Player client seeds mixed into the round client seed
       clientSeed,
       nonce,
       result, // HEADS, TAILS, or EDGE
+      bettingEndsAt: null,
       startTime: null,
       endTime: null,
       status: 'pending', // pending, betting, revealing, finished
-      bets: new Map(), // playerId -> { choice, amount, sessionId }
-      winners: new Map(), // playerId -> { winAmount }
-      losers: new Map()  // playerId -> { betAmount }
+      bets: new Map(), // playerId -> [{ id, choice, amount, currency, maxWin, potentialPayout, sessionId, clientSeed }]
+      betSequence: 0, // Numbers bet IDs within the round
+      liability: {}, // currency -> { HEADS, TAILS, EDGE }: potential payouts of accepted and reserved bets
+      liabilityReservations: new Map(), // reservationKey(round ID, bet sequence) -> { currency, choice, payout } awaiting addBet()
+      winners: new Map(), // betId -> { playerId, betAmount, winAmount }
+      losers: new Map()  // betId -> { playerId, betAmount }
     };
 
     this.currentRound = round;
 
-    console.log(`[FlipEngine] Generated round ${round.id} with result ${result}`);
+    console.log(`[FlipEngine] Generated round ${round.id} (${resultMode})${result ? ` with result ${result}` : ''}`);
 
     return round;
   }
@@ -103,14 +168,19 @@ class FlipEngine {
     }
 
     this.currentRound.status = 'betting';
+    this.currentRound.bettingEndsAt = Date.now() + this.settings.BETTING_PHASE_MS;
     console.log(`[FlipEngine] Betting phase started for round ${this.currentRound.id}`);
 
     this.emit('betting_phase', {
       roundId: this.currentRound.id,
+      tableId: this.tableId,
       serverSeedHash: this.currentRound.serverSeedHash,
+      resultMode: this.currentRound.resultMode,
+      algorithmVersion: this.currentRound.algorithmVersion,
       clientSeed: this.currentRound.clientSeed,
+      baseClientSeed: this.currentRound.baseClientSeed,
       nonce: this.currentRound.nonce,
-      duration: config.GAME.BETTING_PHASE_MS
+      duration: this.settings.BETTING_PHASE_MS
     });
 
     return this.currentRound;
@@ -127,6 +197,10 @@ class FlipEngine {
     this.currentRound.status = 'revealing';
     this.currentRound.startTime = Date.now();
 
+    if (this.currentRound.resultMode === 'PLAYER_ENTROPY') {
+      this.resolvePlayerEntropy();
+    }
+
     console.log(`[FlipEngine] Round ${this.currentRound.id} revealing result: ${this.currentRound.result}`);
 
     // Calculate winners and losers
@@ -142,30 +216,72 @@ class FlipEngine {
     return this.currentRound;
   }
 
+  /**
+   * Fix the round client seed and result from the bets accepted during betting
+   */
+  resolvePlayerEntropy() {
+    const round = this.currentRound;
+
+    // One contribution per player (a player's seed cannot change while they have bets in the round)
+    round.contributions = Array.from(round.bets.values())
+      .map(bets => bets[0].clientSeed)
+      .sort();
+    round.clientSeed = this.deriveClientSeed(round.baseClientSeed, round.contributions);
+    round.result = this.calculateFlipResult(round.serverSeed, round.clientSeed, round.nonce, round.algorithmVersion);
+
+    console.log(`[FlipEngine] Round ${round.id} client seed derived from ${round.contributions.length} contributions`);
+  }
+
+  /**
+   * Public inputs needed to recompute a round's coin
+   */
+  getRoundInputs(round) {
+    return {
+      resultMode: round.resultMode,
+      algorithmVersion: round.algorithmVersion,
+      chainId: round.chainId,
+      chainIndex: round.chainIndex,
+      probabilities: round.probabilities,
+      serverSeed: round.serverSeed,
+      serverSeedHash: round.serverSeedHash,
+      baseClientSeed: round.baseClientSeed,
+      contributions: round.contributions,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce
+    };
+  }
+
   /**
    * Calculate winners and losers
    */
   calculateResults() {
     if (!this.currentRound) return;
 
-    for (const [playerId, bet] of this.currentRound.bets) {
-      if (bet.choice === this.currentRound.result) {
-        // Winner - use different multiplier for EDGE
-        const multiplier = this.currentRound.result === 'EDGE' 
-          ? config.GAME.EDGE_MULTIPLIER 
-          : config.GAME.PAYOUT_MULTIPLIER;
-        const winAmount = Math.floor(bet.amount * multiplier * 100) / 100;
-        this.currentRound.winners.set(playerId, {
-          betAmount: bet.amount,
-          winAmount,
-          choice: bet.choice
-        });
-      } else {
-        // Loser
-        this.currentRound.losers.set(playerId, {
-          betAmount: bet.amount,
-          choice: bet.choice
-        });
+    // Each bet is settled on its own, so a player can win one and lose another
+    for (const [playerId, bets] of this.currentRound.bets) {
+      for (const bet of bets) {
+        if (bet.choice === this.currentRound.result) {
+          // Winner - paid at the multiplier recorded on the round, up to the bet's max win
+          this.currentRound.winners.set(bet.id, {
+            betId: bet.id,
+            playerId,
+            betAmount: bet.amount,
+            winAmount: this.getPotentialPayout(bet.amount, bet.choice, bet.maxWin),
+            currency: bet.currency,
+            choice: bet.choice,
+            clientSeed: bet.clientSeed
+          });
+        } else {
+          // Loser
+          this.currentRound.losers.set(bet.id, {
+            betId: bet.id,
+            playerId,
+            betAmount: bet.amount,
+            currency: bet.currency,
+            choice: bet.choice,
+            clientSeed: bet.clientSeed
+          });
+        }
       }
     }
   }
@@ -185,85 +301,274 @@ class FlipEngine {
     const verificationData = {
       roundId: this.currentRound.id,
       result: this.currentRound.result,
-      serverSeed: this.currentRound.serverSeed,
-      serverSeedHash: this.currentRound.serverSeedHash,
-      clientSeed: this.currentRound.clientSeed,
-      nonce: this.currentRound.nonce
+      ...this.getRoundInputs(this.currentRound)
     };
 
     this.emit('round_finished', verificationData);
 
     // Store in history
-    this.roundHistory.unshift({
+    this.roundHistory.set(this.currentRound.id, {
       id: this.currentRound.id,
+      tableId: this.tableId,
       result: this.currentRound.result,
-      serverSeed: this.currentRound.serverSeed,
-      serverSeedHash: this.currentRound.serverSeedHash,
-      clientSeed: this.currentRound.clientSeed,
-      nonce: this.currentRound.nonce,
+      ...this.getRoundInputs(this.currentRound),
+      oddsProfile: this.currentRound.oddsProfile,
+      multipliers: this.currentRound.multipliers,
       startTime: this.currentRound.startTime,
       endTime: this.currentRound.endTime,
       winnersCount: this.currentRound.winners.size,
       losersCount: this.currentRound.losers.size
     });
 
-    // Keep only last 50 rounds in memory
-    if (this.roundHistory.length > 50) {
-      this.roundHistory.pop();
-    }
-
     // Advance to next seed
-    seedManager.advanceToNextSeed();
+    this.seedManager.advanceToNextSeed();
 
     const finishedRound = this.currentRound;
     this.currentRound = null;
 
     return {
       round: finishedRound,
-      winners: Array.from(finishedRound.winners.entries()).map(([playerId, data]) => ({
-        playerId,
-        ...data
-      })),
-      losers: Array.from(finishedRound.losers.entries()).map(([playerId, data]) => ({
-        playerId,
-        ...data
-      })),
+      winners: Array.from(finishedRound.winners.values()),
+      losers: Array.from(finishedRound.losers.values()),
       verification: verificationData
     };
   }
 
   /**
-   * Add a bet to current round
-   * choice: 'HEADS', 'TAILS', or 'EDGE'
+   * Rebuild a journaled round interrupted by a restart and settle it with its recorded result
+   * Returns the same shape as finishRound(). A round that already finished (and advanced
+   * the seed chain) before the restart is settled without finishing it again.
+   */
+  recoverRound(record) {
+    if (!record.result) {
+      throw new Error(`Round ${record.id} has no result to settle with`);
+    }
+
+    const { phases, bets: journaledBets, ...fields } = record;
+    const bets = new Map();
+    for (const bet of journaledBets) {
+      if (!bets.has(bet.playerId)) {
+        bets.set(bet.playerId, []);
+      }
+      bets.get(bet.playerId).push(bet);
+    }
+
+    this.currentRound = { ...fields, bets, winners: new Map(), losers: new Map() };
+    this.calculateResults();
+
+    const { chainId, index } = this.seedManager.getPosition();
+    if (chainId === record.chainId && index === record.chainIndex) {
+      console.log(`[FlipEngine] Recovering round ${record.id} (${record.status}) with result ${record.result}`);
+      return this.finishRound();
+    }
+
+    // The seed was already used up: the crash came after the round finished
+    const round = this.currentRound;
+    this.currentRound = null;
+
+    console.log(`[FlipEngine] Recovering finished round ${record.id} with result ${record.result}`);
+
+    return {
+      round,
+      winners: Array.from(round.winners.values()),
+      losers: Array.from(round.losers.values())
+    };
+  }
+
+  /**
+   * Reserve the next bet sequence number in the current round
+   * Taken before the platform debit so its request ID is known up front;
+   * a bet the platform rejects leaves a gap in the numbering
    */
-  addBet(playerId, amount, choice, sessionId) {
+  reserveBetSequence() {
     if (!this.currentRound) {
       throw new Error('No active round');
     }
 
+    return ++this.currentRound.betSequence;
+  }
+
+  /**
+   * Payout of a bet if its choice wins, at the current round's multipliers, up to maxWin
+   * (reserveLiability() refuses bets that would pay more, so the cap only guards older bets)
+   */
+  getPotentialPayout(amount, choice, maxWin) {
+    const payout = money.applyMultiplier(amount, this.currentRound.multipliers[choice]);
+    return maxWin ? Math.min(payout, maxWin) : payout;
+  }
+
+  /**
+   * The current round's potential payout per outcome in a currency
+   */
+  getLiability(currency) {
+    const liability = this.currentRound && this.currentRound.liability[currency];
+    return { HEADS: 0, TAILS: 0, EDGE: 0, ...liability };
+  }
+
+  /**
+   * Largest bet on a choice whose payout stays within maxWin at the current round's multipliers
+   * (Infinity without maxWin)
+   */
+  getMaxWinStake(choice, maxWin) {
+    return maxWin ? money.maxStakeFor(maxWin, this.currentRound.multipliers[choice]) : Infinity;
+  }
+
+  /**
+   * Largest bet on a choice that pays at most maxWin and that the round's liability still
+   * allows in a currency (Infinity when neither limit is set)
+   */
+  getMaxStake(currency, choice, { maxWin, maxRoundLiability }) {
+    const withinLiability = maxRoundLiability
+      ? money.maxStakeFor(maxRoundLiability - this.getLiability(currency)[choice], this.currentRound.multipliers[choice])
+      : Infinity;
+    return Math.min(this.getMaxWinStake(choice, maxWin), withinLiability);
+  }
+
+  /**
+   * Count a bet's potential payout against the round's liability before the platform debits it,
+   * so bets in flight at the same time cannot overshoot the limit together.
+   * addBet() with the same round and sequence takes the reservation over; releaseLiability() drops it.
+   * Throws BET_TOO_LARGE if the bet would pay more than maxWin, and LIABILITY_LIMIT if the
+   * choice's potential payout would exceed maxRoundLiability.
+   */
+  reserveLiability(sequence, amount, choice, { currency, maxWin, maxRoundLiability }) {
+    if (!this.currentRound) {
+      throw new Error('No active round');
+    }
+
+    // A win is paid in full or the bet is refused, never capped
+    const payout = this.getPotentialPayout(amount, choice);
+    if (maxWin && payout > maxWin) {
+      fail('BET_TOO_LARGE', { choice, maxBet: money.toDecimal(this.getMaxWinStake(choice, maxWin), currency), currency });
+    }
+    if (maxRoundLiability && this.getLiability(currency)[choice] + payout > maxRoundLiability) {
+      const maxStake = this.getMaxStake(currency, choice, { maxWin, maxRoundLiability });
+      fail('LIABILITY_LIMIT', { choice, maxBet: money.toDecimal(maxStake, currency), currency });
+    }
+
+    this.changeLiability(currency, choice, payout);
+    this.currentRound.liabilityReservations.set(reservationKey(this.currentRound.id, sequence), { currency, choice, payout });
+  }
+
+  /**
+   * Drop the reservation of a bet that was not placed (ignored once the round has moved on)
+   */
+  releaseLiability(roundId, sequence) {
+    const round = this.currentRound;
+    const key = reservationKey(roundId, sequence);
+    if (!round || round.id !== roundId || !round.liabilityReservations.has(key)) return;
+
+    const { currency, choice, payout } = round.liabilityReservations.get(key);
+    round.liabilityReservations.delete(key);
+    this.changeLiability(currency, choice, -payout);
+  }
+
+  changeLiability(currency, choice, delta) {
+    const liability = this.getLiability(currency);
+    liability[choice] += delta;
+    this.currentRound.liability[currency] = liability;
+  }
+
+  /**
+   * Add a bet to current round (a player may place several)
+   * choice: 'HEADS', 'TAILS', or 'EDGE'
+   * amount: minor units of currency
+   * clientSeed: the player's own client seed, kept for per-player audit
+   * roundId, sequence: the round the bet was debited for and its sequence from reserveBetSequence();
+   * refused with BETTING_CLOSED once that round has ended, the current round and next number if omitted
+   * limits: the player's maxRoundTotal (checked here), maxWin and the round's maxRoundLiability
+   * (checked here unless reserveLiability() already did), in minor units
+   */
+  addBet(playerId, amount, choice, sessionId, clientSeed, roundId, sequence, limits = {}) {
+    const { currency, maxRoundTotal, maxWin } = limits;
+
+    if (!this.currentRound) {
+      fail('NO_ACTIVE_ROUND');
+    }
+
+    // A bet debited for a round that has since ended never joins the next one
+    if (roundId !== undefined && roundId !== this.currentRound.id) {
+      fail('BETTING_CLOSED');
+    }
+
     if (this.currentRound.status !== 'betting') {
-      throw new Error('Betting phase has ended');
+      fail('BETTING_CLOSED');
     }
 
     if (choice !== 'HEADS' && choice !== 'TAILS' && choice !== 'EDGE') {
-      throw new Error('Invalid choice. Must be HEADS, TAILS, or EDGE');
+      fail('INVALID_CHOICE');
+    }
+
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error('Bet amount must be a positive number of minor units');
     }
 
-    if (this.currentRound.bets.has(playerId)) {
-      throw new Error('Already placed a bet this round');
+    if (maxRoundTotal && this.getPlayerRoundTotal(playerId) + amount > maxRoundTotal) {
+      fail('ROUND_TOTAL_EXCEEDED', { maxRoundTotal: money.toDecimal(maxRoundTotal, currency), currency });
     }
 
+    if (sequence === undefined) {
+      sequence = this.reserveBetSequence();
+    }
+
+    const key = reservationKey(this.currentRound.id, sequence);
+    if (!this.currentRound.liabilityReservations.has(key)) {
+      this.reserveLiability(sequence, amount, choice, limits);
+    }
+    const { payout } = this.currentRound.liabilityReservations.get(key);
+    this.currentRound.liabilityReservations.delete(key);
+
     const bet = {
+      id: `${this.currentRound.id}-B${sequence}`,
+      sequence,
       playerId,
       sessionId,
       amount,
+      currency,
+      maxWin,
+      potentialPayout: payout,
       choice,
+      clientSeed,
+      nonce: this.currentRound.nonce,
       placedAt: Date.now()
     };
 
-    this.currentRound.bets.set(playerId, bet);
+    if (!this.currentRound.bets.has(playerId)) {
+      this.currentRound.bets.set(playerId, []);
+    }
+    this.currentRound.bets.get(playerId).push(bet);
+
+    console.log(`[FlipEngine] Player ${playerId} bet ${amount} on ${choice} (${bet.id})`);
+
+    return bet;
+  }
+
+  /**
+   * Remove a player's bet from the current round (cancellation)
+   * Refused once the reveal starts or within CANCEL_LOCKOUT_MS of betting closing
+   */
+  removeBet(playerId, betId) {
+    if (!this.currentRound || this.currentRound.status !== 'betting') {
+      fail('BETTING_CLOSED');
+    }
+
+    if (Date.now() > this.currentRound.bettingEndsAt - this.settings.CANCEL_LOCKOUT_MS) {
+      fail('CANCEL_TOO_LATE');
+    }
+
+    const bets = this.currentRound.bets.get(playerId) || [];
+    const index = bets.findIndex(bet => bet.id === betId);
+    if (index === -1) {
+      fail('BET_NOT_FOUND');
+    }
+
+    const [bet] = bets.splice(index, 1);
+    if (bets.length === 0) {
+      this.currentRound.bets.delete(playerId);
+    }
+    this.changeLiability(bet.currency, bet.choice, -bet.potentialPayout);
 
-    console.log(`[FlipEngine] Player ${playerId} bet ${amount} on ${choice}`);
+    console.log(`[FlipEngine] Player ${playerId} cancelled bet ${betId}`);
 
     return bet;
   }
@@ -276,48 +581,101 @@ class FlipEngine {
 
     return {
       id: this.currentRound.id,
+      tableId: this.tableId,
       status: this.currentRound.status,
       result: this.currentRound.status === 'revealing' || this.currentRound.status === 'finished' 
         ? this.currentRound.result 
         : null,
       serverSeedHash: this.currentRound.serverSeedHash,
+      resultMode: this.currentRound.resultMode,
+      algorithmVersion: this.currentRound.algorithmVersion,
+      oddsProfile: this.currentRound.oddsProfile,
       clientSeed: this.currentRound.clientSeed,
+      baseClientSeed: this.currentRound.baseClientSeed,
       nonce: this.currentRound.nonce,
-      betsCount: this.currentRound.bets.size,
+      bettingEndsAt: this.currentRound.bettingEndsAt,
+      betsCount: Array.from(this.currentRound.bets.values()).reduce((count, bets) => count + bets.length, 0),
+      playersCount: this.currentRound.bets.size,
       startTime: this.currentRound.startTime
     };
   }
 
   /**
-   * Get round history
+   * Get round history, newest first
+   * filters: offset, result, from and to (endTime in ms)
    */
-  getHistory(limit = 20) {
-    return this.roundHistory.slice(0, limit);
+  getHistory(limit = 20, { offset = 0, result, from, to } = {}) {
+    const filter = round =>
+      (!result || round.result === result) &&
+      (!from || round.endTime >= from) &&
+      (!to || round.endTime <= to);
+
+    return this.roundHistory.find(filter, { limit, offset });
   }
 
   /**
-   * Get player's bet in current round
+   * Get a finished round from history
    */
-  getPlayerBet(playerId) {
-    if (!this.currentRound) return null;
-    return this.currentRound.bets.get(playerId) || null;
+  getRound(roundId) {
+    return this.roundHistory.get(roundId) || null;
+  }
+
+  /**
+   * Drop finished rounds that ended more than historyRetentionMs ago
+   */
+  pruneHistory() {
+    const cutoff = Date.now() - this.historyRetentionMs;
+    for (const [roundId, round] of this.roundHistory) {
+      if (round.endTime < cutoff) {
+        this.roundHistory.delete(roundId);
+      }
+    }
+  }
+
+  /**
+   * Get the closest earlier finished round from the same chain
+   * Its revealed seed is what this round's seed hashes forward to
+   */
+  getPreviousChainRound(round) {
+    // Usually the round just before it; rounds that never finished leave gaps
+    for (let index = round.chainIndex - 1; index >= 0; index--) {
+      const previous = this.roundHistory.getBy('chainPosition', chainPosition(round.chainId, index));
+      if (previous) return previous;
+    }
+    return null;
   }
 
   /**
-   * Check if player won
+   * Get player's bets in current round
+   */
+  getPlayerBets(playerId) {
+    if (!this.currentRound) return [];
+    return [...(this.currentRound.bets.get(playerId) || [])];
+  }
+
+  /**
+   * Get the total a player has staked in current round
+   */
+  getPlayerRoundTotal(playerId) {
+    return this.getPlayerBets(playerId).reduce((sum, bet) => sum + bet.amount, 0);
+  }
+
+  /**
+   * Check if any of the player's bets won
    */
   didPlayerWin(playerId) {
     if (!this.currentRound || this.currentRound.status === 'betting') return null;
-    return this.currentRound.winners.has(playerId);
+    return Array.from(this.currentRound.winners.values()).some(winner => winner.playerId === playerId);
   }
 
   /**
-   * Get player win amount
+   * Get player's total win amount
    */
   getPlayerWinAmount(playerId) {
-    if (!this.currentRound) return null;
-    const winner = this.currentRound.winners.get(playerId);
-    return winner ? winner.winAmount : null;
+    if (!this.currentRound || !this.didPlayerWin(playerId)) return null;
+    return Array.from(this.currentRound.winners.values())
+      .filter(winner => winner.playerId === playerId)
+      .reduce((sum, winner) => sum + winner.winAmount, 0);
   }
 
   /**
@@ -336,8 +694,5 @@ class FlipEngine {
   }
 }
 
-// Singleton
-const flipEngine = new FlipEngine();
-
-module.exports = flipEngine;
+module.exports = FlipEngine;
 
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { generateRandomHex, sha256 } = require('../util/hmac');
+const { readJson, writeJsonAtomic } = require('../util/fileStore');
+
+/**
+ * Hash chain files
+ *
+ * A chain of N seeds is built from a random secret by repeated SHA256, plus one
+ * extra hash on top: the terminal hash, which is published as the commitment.
+ * Seeds are stored in the order they are used, so:
+ *   SHA256(seeds[0]) === terminalHash
+ *   SHA256(seeds[i]) === seeds[i - 1]
+ *
+ * Chain files contain every future server seed and must never be served.
+ */
+
+/**
+ * Generate a new chain
+ */
+function generateChain(length) {
+  if (!Number.isInteger(length) || length < 1) {
+    throw new Error('Chain length must be a positive integer');
+  }
+
+  const hashes = [generateRandomHex(32)];
+  for (let i = 0; i < length; i++) {
+    hashes.push(sha256(hashes[i]));
+  }
+
+  const terminalHash = hashes.pop();
+  const createdAt = Date.now();
+
+  return {
+    id: `CHAIN-${createdAt}-${terminalHash.substring(0, 8)}`,
+    createdAt,
+    length,
+    terminalHash,
+    seeds: hashes.reverse()
+  };
+}
+
+/**
+ * Path of the directory holding chain files
+ */
+function chainsDir(dataDir) {
+  return path.join(dataDir, 'chains');
+}
+
+/**
+ * Store a chain file
+ */
+function saveChain(dataDir, chain) {
+  const filePath = path.join(chainsDir(dataDir), `${chain.id}.json`);
+  writeJsonAtomic(filePath, chain);
+  return filePath;
+}
+
+/**
+ * Load a chain by ID, checking the terminal hash still matches its seeds
+ */
+function loadChain(dataDir, chainId) {
+  const chain = readJson(path.join(chainsDir(dataDir), `${chainId}.json`));
+  if (!chain) return null;
+
+  if (chain.seeds.length !== chain.length || sha256(chain.seeds[0]) !== chain.terminalHash) {
+    throw new Error(`Chain ${chainId} is corrupt: first seed does not hash to the terminal hash`);
+  }
+
+  return chain;
+}
+
+/**
+ * List stored chain IDs, oldest first
+ */
+function listChains(dataDir) {
+  let files;
+  try {
+    files = fs.readdirSync(chainsDir(dataDir));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  // IDs start with the creation timestamp, so name order is creation order
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+module.exports = {
+  generateChain,
+  saveChain,
+  loadChain,
+  listChains
+};
@@ -0,0 +1,123 @@
+const flipAlgorithms = require('./flipAlgorithms');
+const config = require('../config');
+
+/**
+ * Odds profiles
+ *
+ * A profile pairs outcome probabilities with payout multipliers. The return to
+ * player of a bet on an outcome is probability x multiplier, computed exactly from
+ * integer units (0.01% probabilities, 0.01x multipliers). Every configured profile
+ * is checked when this module loads, so an inconsistent profile stops startup.
+ *
+ * RTP is normally one number that every outcome must return. It can also be set per
+ * outcome ({ HEADS, TAILS, EDGE }) for a table whose outcomes pay back differently,
+ * such as the legacy odds.
+ */
+
+const OUTCOMES = ['HEADS', 'TAILS', 'EDGE'];
+
+/**
+ * Convert a multiplier to hundredths, throwing if it is not exact
+ */
+function toCents(multiplier, label) {
+  const cents = Math.round(multiplier * 100);
+  if (!Number.isFinite(cents) || cents < 100 || Math.abs(cents - multiplier * 100) > 1e-6) {
+    throw new Error(`${label} must be at least 1 with at most two decimals`);
+  }
+  return cents;
+}
+
+/**
+ * Validate a profile definition and compute its RTP per outcome
+ */
+function buildProfile(id, definition, tolerance) {
+  const label = `Odds profile ${id}`;
+
+  if (!definition.PROBABILITIES || !definition.MULTIPLIERS || !definition.RTP) {
+    throw new Error(`${label} needs RTP, PROBABILITIES and MULTIPLIERS`);
+  }
+
+  const targets = {};
+  for (const outcome of OUTCOMES) {
+    targets[outcome] = typeof definition.RTP === 'number' ? definition.RTP : definition.RTP[outcome];
+    if (typeof targets[outcome] !== 'number') {
+      throw new Error(`${label} needs RTP as a number, or a number for each of ${OUTCOMES.join(', ')}`);
+    }
+  }
+
+  let units;
+  try {
+    units = flipAlgorithms.toUnits(definition.PROBABILITIES);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+
+  const rtp = {};
+  for (const outcome of OUTCOMES) {
+    const cents = toCents(definition.MULTIPLIERS[outcome], `${label}: multiplier for ${outcome}`);
+
+    // units / 100 (percent) x cents / 100 (multiplier)
+    rtp[outcome] = (units[outcome] * cents) / 10000;
+
+    // An outcome that can never happen pays nothing back either way
+    if (units[outcome] > 0 && Math.abs(rtp[outcome] - targets[outcome]) > tolerance) {
+      throw new Error(
+        `${label}: ${outcome} returns ${rtp[outcome]}% (${definition.PROBABILITIES[outcome]}% x ` +
+        `${definition.MULTIPLIERS[outcome]}), expected ${targets[outcome]}% ± ${tolerance}`
+      );
+    }
+  }
+
+  return {
+    id,
+    name: definition.NAME || id,
+    targetRtp: typeof definition.RTP === 'number' ? definition.RTP : { ...definition.RTP },
+    probabilities: { ...definition.PROBABILITIES },
+    multipliers: { ...definition.MULTIPLIERS },
+    rtp
+  };
+}
+
+/**
+ * Build every configured profile, keyed by ID
+ */
+function buildProfiles(definitions, tolerance) {
+  const profiles = new Map();
+
+  for (const [id, definition] of Object.entries(definitions)) {
+    const profile = buildProfile(id, definition, tolerance);
+    profiles.set(id, profile);
+
+    const summary = OUTCOMES.map(outcome => `${outcome} ${profile.rtp[outcome]}%`).join(', ');
+    console.log(`[Odds] Profile ${id} (${profile.name}): ${summary}`);
+  }
+
+  return profiles;
+}
+
+const profiles = buildProfiles(config.ODDS_PROFILES, config.ODDS_RTP_TOLERANCE);
+
+/**
+ * Get a validated profile by ID
+ */
+function getProfile(id) {
+  const profile = profiles.get(id);
+  if (!profile) {
+    throw new Error(`Unknown odds profile ${id}. Configured: ${Array.from(profiles.keys()).join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Get every configured profile
+ */
+function getProfiles() {
+  return Array.from(profiles.values());
+}
+
+module.exports = {
+  OUTCOMES,
+  buildProfile,
+  getProfile,
+  getProfiles
+};
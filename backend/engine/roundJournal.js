@@ -0,0 +1,138 @@
+const { readJson, writeJsonAtomic } = require('../util/fileStore');
+
+/**
+ * Round journal
+ *
+ * Persists every round that has not been fully settled: the round's committed
+ * inputs, its phase transitions and each bet once the platform has accepted it.
+ * A round leaves the journal when its wins and losses have been processed, so
+ * whatever is left on startup was interrupted by a crash or restart.
+ *
+ * It also holds recovery notices for players whose round was recovered,
+ * until their next controls connection picks them up.
+ * Each table owns one journal file.
+ */
+
+// Round fields needed to settle the round again (bets are journaled separately)
+const ROUND_FIELDS = [
+  'id', 'tableId', 'status', 'resultMode', 'algorithmVersion', 'chainId', 'chainIndex',
+  'oddsProfile', 'probabilities', 'multipliers', 'serverSeed', 'serverSeedHash',
+  'baseClientSeed', 'contributions', 'clientSeed', 'nonce', 'result',
+  'bettingEndsAt', 'startTime', 'endTime'
+];
+
+class RoundJournal {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.rounds = new Map(); // roundId -> { ...round fields, phases, bets }
+    this.notices = new Map(); // playerKey -> [notice]
+  }
+
+  /**
+   * Load the journal left by the previous run
+   */
+  load() {
+    const state = readJson(this.filePath, { rounds: [], notices: {} });
+
+    this.rounds = new Map(state.rounds.map(record => [record.id, record]));
+    this.notices = new Map(Object.entries(state.notices));
+
+    return this.getUnfinished();
+  }
+
+  persist() {
+    writeJsonAtomic(this.filePath, {
+      rounds: Array.from(this.rounds.values()),
+      notices: Object.fromEntries(this.notices)
+    });
+  }
+
+  /**
+   * Record a round's inputs and current phase (call on every phase change)
+   */
+  recordRound(round) {
+    const record = this.rounds.get(round.id) || { phases: [], bets: [] };
+
+    for (const field of ROUND_FIELDS) {
+      record[field] = round[field];
+    }
+
+    const lastPhase = record.phases[record.phases.length - 1];
+    if (!lastPhase || lastPhase.status !== round.status) {
+      record.phases.push({ status: round.status, at: Date.now() });
+    }
+
+    this.rounds.set(round.id, record);
+    this.persist();
+  }
+
+  /**
+   * Record a bet the platform has debited
+   * bet: the engine's bet plus its platform transactionId, operatorId, platformPlayerId, callbackBaseUrl and currency
+   */
+  recordBet(roundId, bet) {
+    const record = this.requireRound(roundId);
+    record.bets.push(bet);
+    this.persist();
+  }
+
+  /**
+   * Drop a cancelled bet (its refund is tracked by the settlement outbox)
+   */
+  removeBet(roundId, betId) {
+    const record = this.rounds.get(roundId);
+    if (!record) return;
+
+    record.bets = record.bets.filter(bet => bet.id !== betId);
+    this.persist();
+  }
+
+  /**
+   * Remove a round whose results have been processed
+   */
+  completeRound(roundId) {
+    if (this.rounds.delete(roundId)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Rounds that were not completed, oldest first
+   */
+  getUnfinished() {
+    return Array.from(this.rounds.values());
+  }
+
+  requireRound(roundId) {
+    const record = this.rounds.get(roundId);
+    if (!record) {
+      throw new Error(`Round ${roundId} is not in the journal`);
+    }
+    return record;
+  }
+
+  /**
+   * Keep a recovery notice for a player until they reconnect
+   */
+  addNotice(playerKey, notice) {
+    if (!this.notices.has(playerKey)) {
+      this.notices.set(playerKey, []);
+    }
+    this.notices.get(playerKey).push(notice);
+    this.persist();
+  }
+
+  /**
+   * Get and forget a player's recovery notices
+   */
+  takeNotices(playerKey) {
+    const notices = this.notices.get(playerKey) || [];
+    if (notices.length) {
+      this.notices.delete(playerKey);
+      this.persist();
+    }
+    return notices;
+  }
+}
+
+module.exports = RoundJournal;
@@ -1,71 +1,148 @@
+const path = require('path');
 const { generateRandomHex, sha256 } = require('../util/hmac');
+const { readJson, writeJsonAtomic } = require('../util/fileStore');
+const hashChain = require('./hashChain');
+const config = require('../config');
 
 /**
  * Seed management for provably fair flip game
  *
  * How it works:
- * 1. Generate a chain of 10 million hashes (or configurable amount)
- * 2. Start from the END of the chain (last hash becomes first game's server seed)
- * 3. Each game reveals the previous hash, which can be verified by hashing it
+ * 1. Chains are generated offline (npm run chain:generate) and stored on disk
+ * 2. Each chain publishes its terminal hash once, when it becomes active
+ * 3. Seeds are used in order; each round reveals its seed, which hashes to the
+ *    previous round's seed (or to the terminal hash for the first round)
  * 4. Players can verify: SHA256(revealedSeed) === previouslyCommittedHash
+ *
+ * The active chain and position are persisted in <dataDir>/state.json, so a
+ * restart resumes the same commitment instead of publishing a new one.
+ * Each table owns one SeedManager with its own data directory.
  */
 
 class SeedManager {
-  constructor() {
-    this.chainLength = 10000; // Number of games in the chain
+  constructor({ dataDir, autoGenerate, chainLength }) {
+    this.dataDir = dataDir;
+    this.autoGenerate = autoGenerate !== undefined ? autoGenerate : config.SEEDS.AUTO_GENERATE;
+    this.generateLength = chainLength || config.SEEDS.CHAIN_LENGTH;
+    this.statePath = path.join(this.dataDir, 'state.json');
+
+    this.chain = null;
     this.currentIndex = 0;
-    this.seedChain = [];
     this.clientSeed = '';
-    this.initialHash = ''; // The hash we commit to publicly
     this.nonce = 0;
+    this.rotations = []; // Every chain activation, oldest first
   }
 
   /**
-   * Initialize a new seed chain
-   * In production, this would be pre-generated and stored
+   * Load the active chain and position, activating a new chain if needed
    */
   initialize() {
-    // Generate the initial secret seed
-    let currentSeed = generateRandomHex(32);
+    const state = readJson(this.statePath);
+
+    if (state) {
+      this.chain = hashChain.loadChain(this.dataDir, state.chainId);
+      if (!this.chain) {
+        throw new Error(`Active chain ${state.chainId} is missing from ${this.dataDir}`);
+      }
+
+      this.currentIndex = state.index;
+      this.nonce = state.nonce;
+      this.clientSeed = state.clientSeed;
+      this.rotations = state.rotations || [];
+
+      console.log(`[Seeds] Resumed chain ${this.chain.id} at position ${this.currentIndex}/${this.chain.length}`);
+
+      if (this.currentIndex >= this.chain.length) {
+        this.tryRotateChain();
+      }
+    } else {
+      this.rotateChain();
+    }
 
-    // Build the hash chain
-    this.seedChain = [currentSeed];
+    return {
+      chainId: this.chain.id,
+      terminalHash: this.chain.terminalHash,
+      clientSeed: this.clientSeed
+    };
+  }
 
-    for (let i = 1; i < this.chainLength; i++) {
-      currentSeed = sha256(currentSeed);
-      this.seedChain.push(currentSeed);
+  /**
+   * Activate the next unused chain and record the rotation
+   */
+  rotateChain() {
+    const previousChainId = this.chain ? this.chain.id : null;
+    const usedChainIds = new Set(this.rotations.map(r => r.chainId));
+    let nextChainId = hashChain.listChains(this.dataDir).find(id => !usedChainIds.has(id));
+    let generated = false;
+
+    if (!nextChainId) {
+      if (!this.autoGenerate) {
+        throw new Error(`No unused hash chain in ${this.dataDir}. Generate one with: npm run chain:generate`);
+      }
+
+      console.warn('[Seeds] No unused hash chain available, generating one (disable with SEED_AUTO_GENERATE=false)');
+      const chain = hashChain.generateChain(this.generateLength);
+      hashChain.saveChain(this.dataDir, chain);
+      nextChainId = chain.id;
+      generated = true;
     }
 
-    // Reverse so we use from the end (index 0 = last generated = first to use)
-    this.seedChain.reverse();
-
-    // The initial hash is what we publicly commit to
-    this.initialHash = this.seedChain[0];
+    this.chain = hashChain.loadChain(this.dataDir, nextChainId);
+    this.currentIndex = 0;
 
-    // Generate client seed (can be changed by players)
+    // The round client seed changes with the chain (players keep their own seeds on their sessions)
     this.clientSeed = generateRandomHex(32);
 
-    this.currentIndex = 0;
-    this.nonce = 0;
+    this.rotations.push({
+      chainId: this.chain.id,
+      previousChainId,
+      terminalHash: this.chain.terminalHash,
+      length: this.chain.length,
+      clientSeed: this.clientSeed,
+      firstNonce: this.nonce,
+      autoGenerated: generated,
+      activatedAt: Date.now()
+    });
 
-    console.log('[Seeds] Initialized seed chain');
-    console.log('[Seeds] Public commitment hash:', this.initialHash);
+    this.persist();
 
-    return {
-      publicHash: this.initialHash,
-      clientSeed: this.clientSeed
-    };
+    console.log(`[Seeds] Activated chain ${this.chain.id}${previousChainId ? ` (replacing ${previousChainId})` : ''}`);
+    console.log('[Seeds] Public terminal hash:', this.chain.terminalHash);
+  }
+
+  /**
+   * Rotate after exhaustion without failing the round that just finished
+   * getCurrentServerSeed() retries until a new chain has been generated
+   */
+  tryRotateChain() {
+    try {
+      this.rotateChain();
+    } catch (error) {
+      console.error('[Seeds] CRITICAL: Could not rotate chain:', error.message);
+    }
+  }
+
+  /**
+   * Save the current position
+   */
+  persist() {
+    writeJsonAtomic(this.statePath, {
+      chainId: this.chain.id,
+      index: this.currentIndex,
+      nonce: this.nonce,
+      clientSeed: this.clientSeed,
+      rotations: this.rotations
+    });
   }
 
   /**
    * Get the current server seed for a round
    */
   getCurrentServerSeed() {
-    if (this.currentIndex >= this.seedChain.length) {
-      // Regenerate chain if exhausted
-      this.initialize();
+    if (this.currentIndex >= this.chain.length) {
+      this.rotateChain();
     }
-    return this.seedChain[this.currentIndex];
+    return this.chain.seeds[this.currentIndex];
   }
 
   /**
@@ -73,7 +150,17 @@ class SeedManager {
    */
   getPreviousServerSeed() {
     if (this.currentIndex === 0) return null;
-    return this.seedChain[this.currentIndex - 1];
+    return this.chain.seeds[this.currentIndex - 1];
+  }
+
+  /**
+   * Get the chain and index the current server seed comes from
+   */
+  getPosition() {
+    return {
+      chainId: this.chain.id,
+      index: this.currentIndex
+    };
   }
 
   /**
@@ -83,9 +170,11 @@ class SeedManager {
     this.currentIndex++;
     this.nonce++;
 
-    if (this.currentIndex >= this.seedChain.length) {
-      console.log('[Seeds] Chain exhausted, regenerating...');
-      this.initialize();
+    this.persist();
+
+    if (this.currentIndex >= this.chain.length) {
+      console.log(`[Seeds] Chain ${this.chain.id} exhausted, rotating...`);
+      this.tryRotateChain();
     }
   }
 
@@ -97,17 +186,26 @@ class SeedManager {
   }
 
   /**
-   * Get client seed
+   * Get the round client seed
    */
   getClientSeed() {
     return this.clientSeed;
   }
 
   /**
-   * Set new client seed (player can change this)
+   * Set the round client seed
+   * Per-player seeds are rotated through SessionService.setClientSeed()
    */
   setClientSeed(newClientSeed) {
     this.clientSeed = newClientSeed;
+    this.persist();
+  }
+
+  /**
+   * Get chain activations (each publishes its terminal hash)
+   */
+  getRotations() {
+    return this.rotations.map(rotation => ({ ...rotation }));
   }
 
   /**
@@ -115,29 +213,38 @@ class SeedManager {
    */
   getPublicData() {
     return {
-      publicHash: this.initialHash,
+      chainId: this.chain.id,
+      terminalHash: this.chain.terminalHash,
+      position: this.currentIndex,
+      chainLength: this.chain.length,
       clientSeed: this.clientSeed,
       nonce: this.nonce,
-      gamesRemaining: this.chainLength - this.currentIndex
+      gamesRemaining: this.chain.length - this.currentIndex
     };
   }
 
   /**
-   * Get data for verifying a completed round
+   * Get the published terminal hash of a chain this manager has activated
    */
-  getVerificationData(roundServerSeed, roundNonce) {
+  getTerminalHash(chainId) {
+    const rotation = this.rotations.find(r => r.chainId === chainId);
+    return rotation ? rotation.terminalHash : null;
+  }
+
+  /**
+   * Get chain data for verifying a completed round
+   * The round's server seed hashes to the terminal hash in exactly chainIndex + 1 steps
+   */
+  getVerificationData(round) {
     return {
-      serverSeed: roundServerSeed,
-      clientSeed: this.clientSeed,
-      nonce: roundNonce,
+      chainId: round.chainId,
+      chainIndex: round.chainIndex,
+      terminalHash: this.getTerminalHash(round.chainId),
+      expectedDistance: round.chainIndex + 1,
       // Next hash in chain proves this seed was pre-committed
-      nextHash: this.currentIndex > 0 ? sha256(roundServerSeed) : null
+      nextHash: sha256(round.serverSeed)
     };
   }
 }
 
-// Singleton instance
-const seedManager = new SeedManager();
-
-module.exports = seedManager;
-
+module.exports = SeedManager;
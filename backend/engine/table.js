@@ -0,0 +1,86 @@
+const path = require('path');
+const SeedManager = require('./seeds');
+const FlipEngine = require('./flipEngine');
+const RoundJournal = require('./roundJournal');
+const oddsProfiles = require('./oddsProfiles');
+const money = require('../util/money');
+const RoundService = require('../services/roundService');
+const storage = require('../storage');
+const config = require('../config');
+
+/**
+ * Table
+ * One flip table: its own seed chain, engine, round journal and round loop
+ *
+ * Settings are config.GAME with the table's overrides applied, so a table
+ * can change timings or odds profile without touching the others. Its LIMITS
+ * narrow the currencies' bet limits, by currency.
+ */
+
+class Table {
+  constructor({ ID, NAME, LIMITS = {}, ...overrides }) {
+    this.id = ID;
+    this.name = NAME || ID;
+    this.room = `table:${ID}`;
+    this.settings = { ...config.GAME, ...overrides };
+
+    // Checked now so a bad limit stops startup
+    this.limits = { ...LIMITS };
+    for (const currency of Object.keys(this.limits)) {
+      money.getLimits(currency, this.limits[currency]);
+    }
+
+    this.oddsProfile = oddsProfiles.getProfile(this.settings.ODDS_PROFILE);
+
+    this.seedManager = new SeedManager({
+      dataDir: path.join(config.SEEDS.DATA_DIR, ID)
+    });
+
+    this.flipEngine = new FlipEngine({
+      tableId: ID,
+      settings: this.settings,
+      oddsProfile: this.oddsProfile,
+      seedManager: this.seedManager,
+      storage,
+      historyRetentionMs: config.ROUNDS.HISTORY_RETENTION_MS
+    });
+
+    this.journal = new RoundJournal({
+      filePath: path.join(config.ROUNDS.JOURNAL_DIR, `${ID}.json`)
+    });
+
+    this.roundService = new RoundService(this);
+  }
+
+  /**
+   * Bet limits at this table in minor units of a currency
+   * extraLimits (e.g. an operator's) narrow them further
+   */
+  getLimits(currency, extraLimits) {
+    return money.getLimits(currency, this.limits[currency], extraLimits);
+  }
+
+  /**
+   * Public description of the table, with its bet limits per currency as decimal strings
+   * currencies defaults to every configured currency
+   */
+  getInfo(currencies = money.getCurrencyCodes()) {
+    const limits = {};
+    for (const currency of currencies) {
+      limits[currency] = money.formatLimits(this.getLimits(currency), currency);
+    }
+
+    return {
+      id: this.id,
+      name: this.name,
+      limits,
+      oddsProfile: this.oddsProfile.id,
+      rtp: this.oddsProfile.targetRtp,
+      bettingPhaseMs: this.settings.BETTING_PHASE_MS,
+      resultRevealMs: this.settings.RESULT_REVEAL_MS,
+      roundDelayMs: this.settings.ROUND_DELAY_MS
+    };
+  }
+}
+
+module.exports = Table;
@@ -6,8 +6,17 @@ const config = require('./config');
 
 // Services
 const sessionService = require('./services/sessionService');
-const roundService = require('./services/roundService');
-const seedManager = require('./engine/seeds');
+const betService = require('./services/betService');
+const tableService = require('./services/tableService');
+const operatorService = require('./services/operatorService');
+const settlementService = require('./services/settlementService');
+const platformHealthService = require('./services/platformHealthService');
+const callbackService = require('./services/callbackService');
+const ledgerService = require('./services/ledgerService');
+const reconciliationService = require('./services/reconciliationService');
+const { safeCompare } = require('./util/hmac');
+const { GameError, toErrorBody, getStatus } = require('./util/errors');
+const FlipVerifier = require('../frontend/verifier/flipVerifier');
 
 // WebSocket namespaces
 const setupGameNamespace = require('./ws/gameNamespace');
@@ -21,7 +30,7 @@ app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Provider-Signature, X-Request-ID');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Provider-Signature, X-Request-ID, X-Admin-Token');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -35,6 +44,9 @@ const assetsPath = path.join(__dirname, '../frontend/assets');
 app.use('/assets', express.static(assetsPath));
 app.use('/flip/assets', express.static(assetsPath));
 
+// Standalone provably fair verifier (same module the server uses for proof bundles)
+app.use('/verifier', express.static(path.join(__dirname, '../frontend/verifier')));
+
 // Create HTTP server
 const server = http.createServer(app);
 
@@ -52,23 +64,34 @@ const io = new Server(server, {
 // REST API Endpoints
 // ==================
 
+/**
+ * Answer with an error as { success: false, code, message, details } and the code's HTTP status
+ * Errors without a code are sent as fallbackCode (see util/errors.js)
+ */
+function sendError(res, error, fallbackCode, fields = { success: false }) {
+  const body = toErrorBody(error, fallbackCode);
+  res.status(getStatus(body.code)).json({ ...fields, ...body });
+}
+
 /**
  * POST /session/init
  * Platform calls this to initialize a player session
  */
 app.post('/session/init', (req, res) => {
   try {
-    const { playerId, currency, token, timestamp, signature, callbackBaseUrl } = req.body;
+    const { operatorId, playerId, currency, token, timestamp, signature, callbackBaseUrl, tableId } = req.body;
 
-    console.log('[API] Session init request:', { playerId, currency, callbackBaseUrl });
+    console.log('[API] Session init request:', { operatorId, playerId, currency, callbackBaseUrl, tableId });
 
     const result = sessionService.createSession({
+      operatorId,
       playerId,
       currency,
       token,
       timestamp,
       signature,
-      callbackBaseUrl
+      callbackBaseUrl,
+      tableId
     });
 
     res.json({
@@ -77,10 +100,7 @@ app.post('/session/init', (req, res) => {
     });
   } catch (error) {
     console.error('[API] Session init error:', error.message);
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
+    sendError(res, error);
   }
 });
 
@@ -92,34 +112,99 @@ app.get('/session/:sessionId', (req, res) => {
   const session = sessionService.getSession(req.params.sessionId);
 
   if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+    return sendError(res, new GameError('INVALID_SESSION'));
   }
 
   // Don't expose sensitive data
   res.json({
     sessionId: session.sessionId,
+    operatorId: session.operatorId,
     playerId: session.playerId,
     currency: session.currency,
+    tableId: session.tableId,
     isConnected: session.isConnected,
     createdAt: session.createdAt
   });
 });
 
 /**
- * GET /provably-fair
- * Get public verification data
+ * GET /session/:sessionId/client-seed
+ * Get the player's active client seed pair
+ */
+app.get('/session/:sessionId/client-seed', (req, res) => {
+  try {
+    res.json(sessionService.getSeedPair(req.params.sessionId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /session/:sessionId/client-seed
+ * Set or rotate the player's client seed (REST equivalent of set_client_seed)
+ */
+app.post('/session/:sessionId/client-seed', async (req, res) => {
+  try {
+    const result = await betService.setClientSeed(req.params.sessionId, req.body.clientSeed);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /provably-fair?tableId=
+ * Get public verification data (browsers asking for HTML get the verifier page)
+ * current and recentRounds describe one table; chainRotations cover every table
  */
 app.get('/provably-fair', (req, res) => {
-  const publicData = seedManager.getPublicData();
-  const history = roundService.getHistory(10);
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.sendFile(path.join(__dirname, '../frontend/provably-fair/index.html'));
+  }
+
+  const table = tableService.getTable(req.query.tableId);
+  if (!table) {
+    return sendError(res, new GameError('TABLE_NOT_FOUND', { tableId: req.query.tableId }));
+  }
+
+  const publicData = table.seedManager.getPublicData();
+  const history = table.roundService.getHistory(10);
 
   res.json({
-    current: publicData,
+    current: {
+      tableId: table.id,
+      ...publicData,
+      resultMode: table.settings.RESULT_MODE,
+      algorithmVersion: table.settings.ALGORITHM_VERSION,
+      probabilities: table.flipEngine.getProbabilities()
+    },
+    tables: tableService.getTables().map(t => t.getInfo()),
+    chainRotations: tableService.getRotations().map(r => ({
+      tableId: r.tableId,
+      chainId: r.chainId,
+      previousChainId: r.previousChainId,
+      terminalHash: r.terminalHash,
+      length: r.length,
+      firstNonce: r.firstNonce,
+      activatedAt: r.activatedAt
+    })),
     recentRounds: history.map(r => ({
       roundId: r.id,
+      tableId: r.tableId,
       result: r.result,
+      resultMode: r.resultMode,
+      algorithmVersion: r.algorithmVersion,
+      chainId: r.chainId,
+      chainIndex: r.chainIndex,
+      probabilities: r.probabilities,
       serverSeed: r.serverSeed,
       serverSeedHash: r.serverSeedHash,
+      baseClientSeed: r.baseClientSeed,
+      contributions: r.contributions,
       clientSeed: r.clientSeed,
       nonce: r.nonce
     }))
@@ -129,37 +214,138 @@ app.get('/provably-fair', (req, res) => {
 /**
  * POST /provably-fair/verify
  * Verify a specific round
+ * Defaults (odds, algorithm version) come from tableId, or the default table
+ * PLAYER_ENTROPY rounds can omit clientSeed and pass baseClientSeed + contributions
+ * Pass the round's algorithmVersion (or version) and probabilities to verify historical rounds
+ * Also proves the server seed belongs to a published chain by hashing it forward to a
+ * terminal hash, or to previousServerSeed (a neighbouring revealed seed) if given
  */
-app.post('/provably-fair/verify', (req, res) => {
-  const { serverSeed, clientSeed, nonce } = req.body;
-  const flipEngine = require('./engine/flipEngine');
+app.post('/provably-fair/verify', async (req, res) => {
+  const { serverSeed, baseClientSeed, contributions, nonce, probabilities, previousServerSeed } = req.body;
 
   try {
-    const result = flipEngine.calculateFlipResult(serverSeed, clientSeed, nonce);
+    const { flipEngine, settings } = tableService.requireTable(req.body.tableId);
+    const version = Number(req.body.version || req.body.algorithmVersion || settings.ALGORITHM_VERSION);
+    const clientSeed = req.body.clientSeed === undefined && Array.isArray(contributions)
+      ? flipEngine.deriveClientSeed(baseClientSeed, contributions)
+      : req.body.clientSeed;
+    const result = flipEngine.calculateFlipResult(serverSeed, clientSeed, nonce, version, probabilities);
     const hash = require('./util/hmac').sha256(serverSeed);
 
+    const rotations = tableService.getRotations();
+    const maxSteps = Math.max(...rotations.map(r => r.length));
+    const targets = previousServerSeed ? [previousServerSeed] : rotations.map(r => r.terminalHash);
+    const link = await FlipVerifier.walkChain(serverSeed, targets, maxSteps);
+    const rotation = rotations.find(r => r.terminalHash === link.target);
+
     res.json({
       valid: true,
       result,
-      serverSeedHash: hash
+      version,
+      clientSeed,
+      serverSeedHash: hash,
+      chain: {
+        linked: link.valid,
+        target: previousServerSeed ? 'previousServerSeed' : 'terminalHash',
+        tableId: rotation ? rotation.tableId : null,
+        chainId: rotation ? rotation.chainId : null,
+        distance: link.distance
+      }
     });
   } catch (error) {
-    res.status(400).json({
-      valid: false,
-      error: error.message
+    sendError(res, error, 'VERIFICATION_FAILED', { valid: false });
+  }
+});
+
+/**
+ * GET /provably-fair/rounds/:roundId
+ * Full proof bundle for a finished round, checked with the same verifier players can run
+ * against the published chain rotations
+ */
+app.get('/provably-fair/rounds/:roundId', async (req, res) => {
+  const found = tableService.findRound(req.params.roundId);
+
+  if (!found) {
+    return sendError(res, new GameError('ROUND_NOT_FOUND', { roundId: req.params.roundId }));
+  }
+
+  const { table, round } = found;
+  const previousRound = table.flipEngine.getPreviousChainRound(round);
+  const { nextHash, ...chain } = table.seedManager.getVerificationData(round);
+
+  const bundle = {
+    roundId: round.id,
+    tableId: table.id,
+    result: round.result,
+    algorithmVersion: round.algorithmVersion,
+    probabilities: round.probabilities,
+    inputs: {
+      resultMode: round.resultMode,
+      serverSeed: round.serverSeed,
+      serverSeedHash: round.serverSeedHash,
+      baseClientSeed: round.baseClientSeed,
+      contributions: round.contributions,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce
+    },
+    chain,
+    previous: previousRound ? {
+      roundId: previousRound.id,
+      chainIndex: previousRound.chainIndex,
+      serverSeed: previousRound.serverSeed
+    } : null
+  };
+
+  try {
+    const verification = await FlipVerifier.verifyRound(bundle, tableService.getRotations());
+
+    res.json({
+      ...bundle,
+      verification: {
+        valid: verification.valid,
+        checks: verification.checks
+      }
     });
+  } catch (error) {
+    console.error(`[API] Could not verify round ${round.id}:`, error.message);
+    sendError(res, error);
   }
 });
 
 /**
- * GET /game/state
- * Get current game state
+ * GET /tables?operatorId=
+ * List the tables players can join, with bet limits per currency
+ * With operatorId, only the tables open to that operator, with its currencies and limits
+ */
+app.get('/tables', (req, res) => {
+  if (req.query.operatorId === undefined) {
+    return res.json(tableService.getTables().map(table => table.getInfo()));
+  }
+
+  const operator = operatorService.getOperator(req.query.operatorId);
+  if (!operator) {
+    return sendError(res, new GameError('UNKNOWN_OPERATOR', { operatorId: req.query.operatorId }));
+  }
+
+  res.json(operatorService.getTables(operator).map(table => operatorService.getTableInfo(operator, table)));
+});
+
+/**
+ * GET /game/state?tableId=
+ * Get current game state of a table, with its odds profile and RTP per outcome
  */
 app.get('/game/state', (req, res) => {
-  const round = roundService.getCurrentRoundState();
-  const history = roundService.getHistory(20);
+  const table = tableService.getTable(req.query.tableId);
+  if (!table) {
+    return sendError(res, new GameError('TABLE_NOT_FOUND', { tableId: req.query.tableId }));
+  }
+
+  const round = table.roundService.getCurrentRoundState();
+  const history = table.roundService.getHistory(20);
 
   res.json({
+    table: table.getInfo(),
+    oddsProfile: table.oddsProfile,
     currentRound: round,
     history,
     connectedPlayers: sessionService.getConnectedPlayersCount()
@@ -167,15 +353,132 @@ app.get('/game/state', (req, res) => {
 });
 
 /**
- * GET /game/history
- * Get round history
+ * GET /game/history?tableId=&limit=&offset=&result=&from=&to=
+ * Get round history of a table, newest first
+ * result filters by outcome; from and to bound the round end time (ms)
  */
 app.get('/game/history', (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const history = roundService.getHistory(limit);
+  const table = tableService.getTable(req.query.tableId);
+  if (!table) {
+    return sendError(res, new GameError('TABLE_NOT_FOUND', { tableId: req.query.tableId }));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const history = table.roundService.getHistory(limit, {
+    offset: parseInt(req.query.offset) || 0,
+    result: req.query.result,
+    from: parseInt(req.query.from) || undefined,
+    to: parseInt(req.query.to) || undefined
+  });
   res.json(history);
 });
 
+// ==================
+// Operator API
+// ==================
+
+/**
+ * Require the operator token (X-Admin-Token header)
+ */
+function requireAdmin(req, res, next) {
+  if (!safeCompare(req.get('X-Admin-Token'), config.ADMIN.TOKEN)) {
+    return sendError(res, new GameError('ADMIN_UNAUTHORIZED'));
+  }
+  next();
+}
+
+/**
+ * GET /admin/settlements?status=PENDING
+ * List win and rollback callbacks in the settlement outbox
+ */
+app.get('/admin/settlements', requireAdmin, (req, res) => {
+  res.json(settlementService.list(req.query.status));
+});
+
+/**
+ * POST /admin/settlements/:id/retry
+ * Retry a pending settlement now (same requestId as the original callback)
+ */
+app.post('/admin/settlements/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const item = await settlementService.retry(req.params.id);
+    res.json({ success: item.status === 'SETTLED', settlement: item });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /admin/settlements/:id/resolve
+ * Mark a pending settlement as handled outside the provider: { note }
+ */
+app.post('/admin/settlements/:id/resolve', requireAdmin, (req, res) => {
+  try {
+    const item = settlementService.resolve(req.params.id, req.body.note);
+    res.json({ success: true, settlement: item });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /admin/callbacks/:requestId
+ * Every attempt of a bet, win or rollback callback (and status queries about it) with its outcome
+ */
+app.get('/admin/callbacks/:requestId', requireAdmin, (req, res) => {
+  const entry = callbackService.getAttempts(req.params.requestId);
+  if (!entry) {
+    return sendError(res, new GameError('CALLBACK_NOT_FOUND', { requestId: req.params.requestId }));
+  }
+  res.json(entry);
+});
+
+/**
+ * GET /admin/ledger?operatorId=&roundId=&playerId=&status=&from=&to=&limit=
+ * Bet, win and rollback legs the provider sent, newest first
+ * from and to bound the time each leg was opened (ms)
+ */
+app.get('/admin/ledger', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const legs = ledgerService.list({
+    operatorId: req.query.operatorId,
+    roundId: req.query.roundId,
+    playerId: req.query.playerId,
+    status: req.query.status,
+    from: parseInt(req.query.from) || undefined,
+    to: parseInt(req.query.to) || undefined
+  });
+  res.json(legs.slice(0, limit).map(leg => ledgerService.format(leg)));
+});
+
+/**
+ * GET /admin/reconciliation
+ * Latest reconciliation report of every operator
+ */
+app.get('/admin/reconciliation', requireAdmin, (req, res) => {
+  res.json(reconciliationService.getReports());
+});
+
+/**
+ * POST /admin/reconciliation
+ * Reconcile an operator's ledger now: { operatorId, from, to, transactions }
+ * from / to (ms) default to the last RECONCILIATION.WINDOW_MS; without transactions
+ * the platform's export is read from the operator's TRANSACTIONS_URL
+ */
+app.post('/admin/reconciliation', requireAdmin, async (req, res) => {
+  const { operatorId, from, to, transactions } = req.body;
+  const invalid = ['from', 'to'].filter(field => req.body[field] !== undefined && !Number.isInteger(req.body[field]));
+  if (invalid.length) {
+    return sendError(res, new GameError('INVALID_REQUEST', { fields: invalid }));
+  }
+
+  try {
+    res.json(await reconciliationService.run(operatorId, { from, to, transactions }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // ==================
 // Serve Frontend Files
 // ==================
@@ -193,6 +496,7 @@ app.get('/controls-iframe', (req, res) => {
 // Serve static files for iframes
 app.use('/game-iframe', express.static(path.join(__dirname, '../frontend/game-iframe')));
 app.use('/controls-iframe', express.static(path.join(__dirname, '../frontend/controls-iframe')));
+app.use('/provably-fair', express.static(path.join(__dirname, '../frontend/provably-fair')));
 
 // ==================
 // Health Check
@@ -200,9 +504,11 @@ app.use('/controls-iframe', express.static(path.join(__dirname, '../frontend/con
 
 app.get('/health', (req, res) => {
   res.json({
-    status: 'ok',
+    // degraded while a platform endpoint's breaker is not closed
+    status: platformHealthService.isHealthy() ? 'ok' : 'degraded',
     uptime: process.uptime(),
-    timestamp: Date.now()
+    timestamp: Date.now(),
+    platforms: platformHealthService.getHealth()
   });
 });
 
@@ -213,8 +519,8 @@ app.get('/health', (req, res) => {
 const gameNamespace = setupGameNamespace(io);
 const controlsNamespace = setupControlsNamespace(io);
 
-// Pass namespaces to round service for broadcasting
-roundService.setNamespaces(gameNamespace, controlsNamespace);
+// Pass namespaces to every table's round service for broadcasting
+tableService.setNamespaces(gameNamespace, controlsNamespace);
 
 // ==================
 // Start Server
@@ -231,7 +537,8 @@ server.listen(config.PORT, () => {
 ║  - POST /session/init     Initialize player session           ║
 ║  - GET  /game-iframe      Game visualization iframe           ║
 ║  - GET  /controls-iframe  Player controls iframe (responsive)  ║
-║  - GET  /provably-fair    Verification data                   ║
+║  - GET  /provably-fair    Verifier page / verification data   ║
+║  - GET  /tables           Available tables                    ║
 ║  - GET  /game/state       Current game state                  ║
 ║  - GET  /game/history     Round history                       ║
 ║                                                               ║
@@ -241,14 +548,21 @@ server.listen(config.PORT, () => {
 ╚═══════════════════════════════════════════════════════════════╝
   `);
 
-  // Start the game loop
-  roundService.start();
+  // Resume retrying unconfirmed settlements and schedule reconciliation, then recover interrupted rounds and start every table's game loop
+  settlementService.start();
+  reconciliationService.start();
+  tableService.start().catch(error => {
+    console.error('[Server] Could not start tables:', error.message);
+    process.exit(1);
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
-  roundService.stop();
+  tableService.stop();
+  settlementService.stop();
+  reconciliationService.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -257,7 +571,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
-  roundService.stop();
+  tableService.stop();
+  settlementService.stop();
+  reconciliationService.stop();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1,178 +1,442 @@
-const flipEngine = require('../engine/flipEngine');
 const sessionService = require('./sessionService');
 const callbackService = require('./callbackService');
-const config = require('../config');
+const tableService = require('./tableService');
+const settlementService = require('./settlementService');
+const operatorService = require('./operatorService');
+const storage = require('../storage');
+const money = require('../util/money');
+const errors = require('../util/errors');
 
 /**
  * Bet Service
  * Handles bet placement and win processing with platform callbacks
+ *
+ * Amounts are minor units of the session currency inside the service and
+ * decimal strings in the results it returns (see util/money.js).
  */
 
 class BetService {
   constructor() {
-    // Track active bets with their transaction IDs
-    this.activeBets = new Map(); // playerId -> { bet, transactionId }
+    // Track active bets with their transaction IDs (kept in storage until settled)
+    this.activeBets = storage.collection('activeBets'); // betId -> { bet, transactionId, roundId, operatorId, platformPlayerId, callbackBaseUrl, currency }
+
+    // Players with a placement or cancellation in flight (including its platform callback)
+    this.playersInFlight = new Set();
+  }
+
+  /**
+   * Run a bet operation for a player, rejecting overlapping ones with BET_IN_PROGRESS
+   * Without this, two quick requests could both pass validation and both debit the wallet
+   */
+  async withPlayerLock(playerKey, operation) {
+    if (this.playersInFlight.has(playerKey)) {
+      errors.fail('BET_IN_PROGRESS');
+    }
+
+    this.playersInFlight.add(playerKey);
+    try {
+      return await operation();
+    } finally {
+      this.playersInFlight.delete(playerKey);
+    }
   }
 
   /**
-   * Place a bet
+   * Place a bet (a player may place several per round, up to the round total limit)
+   * amount: decimal string (or number) in the session currency
    * choice: 'HEADS', 'TAILS', or 'EDGE'
    */
   async placeBet(sessionId, amount, choice) {
     // Validate session
     const session = sessionService.validateSession(sessionId);
-    const { playerId, currency, callbackBaseUrl } = session;
 
-    // Validate bet amount
-    if (typeof amount !== 'number' || isNaN(amount)) {
-      throw new Error('Invalid bet amount');
-    }
+    return this.withPlayerLock(session.playerKey, () => this.executeBet(session, amount, choice));
+  }
+
+  /**
+   * Validate, debit through the platform and register a bet (runs under the player lock)
+   * Limits are the table's, narrowed by the operator's limits for the session currency
+   */
+  async executeBet(session, amount, choice) {
+    const { sessionId, operatorId, playerId, playerKey, currency, callbackBaseUrl, seedPair } = session;
+    const { flipEngine, journal } = tableService.requireTable(session.tableId);
+    const limits = this.getBetLimits(session);
+    const format = minor => money.toDecimal(minor, currency);
 
-    if (amount < config.GAME.MIN_BET) {
-      throw new Error(`Minimum bet is ${config.GAME.MIN_BET}`);
+    // Validate bet amount (more decimals than the currency has is an error, not rounded away)
+    const betAmount = money.toMinor(amount, currency);
+
+    if (betAmount < limits.minBet) {
+      errors.fail('BET_TOO_SMALL', { minBet: format(limits.minBet), currency });
     }
 
-    if (amount > config.GAME.MAX_BET) {
-      throw new Error(`Maximum bet is ${config.GAME.MAX_BET}`);
+    if (betAmount > limits.maxBet) {
+      errors.fail('BET_TOO_LARGE', { maxBet: format(limits.maxBet), currency });
     }
 
     // Validate choice
     if (choice !== 'HEADS' && choice !== 'TAILS' && choice !== 'EDGE') {
-      throw new Error('Invalid choice. Must be HEADS, TAILS, or EDGE');
-    }
-
-    // Check if player already has a bet this round
-    const existingBet = flipEngine.getPlayerBet(playerId);
-    if (existingBet) {
-      throw new Error('Already placed a bet this round');
+      errors.fail('INVALID_CHOICE');
     }
 
     // Get current round
     const round = flipEngine.getCurrentRound();
     if (!round) {
-      throw new Error('No active round');
+      errors.fail('NO_ACTIVE_ROUND');
     }
 
     if (round.status !== 'betting') {
-      throw new Error('Betting phase has ended');
+      errors.fail('BETTING_CLOSED');
+    }
+
+    // Check the round cap before the platform debits anything
+    if (flipEngine.getPlayerRoundTotal(playerKey) + betAmount > limits.maxRoundTotal) {
+      errors.fail('ROUND_TOTAL_EXCEEDED', { maxRoundTotal: format(limits.maxRoundTotal), currency });
     }
 
-    // Round the amount to 2 decimal places
-    const roundedAmount = Math.round(amount * 100) / 100;
+    // The sequence fixes the bet ID and every request ID for this bet
+    const betSequence = flipEngine.reserveBetSequence();
+
+    // Hold the bet's potential payout against the round's liability while the platform debits
+    // (throws BET_TOO_LARGE if it would pay more than maxWin, LIABILITY_LIMIT if the round cannot
+    // take it, both with the largest bet on the choice that still fits)
+    flipEngine.reserveLiability(betSequence, betAmount, choice, { currency, ...limits });
 
     // Call platform to deduct balance
-    const callbackResult = await callbackService.placeBet({
-      callbackBaseUrl,
-      roundId: round.id,
-      playerId,
-      sessionId,
-      amount: roundedAmount,
-      currency
-    });
+    let callbackResult;
+    try {
+      callbackResult = await callbackService.placeBet({
+        operatorId,
+        callbackBaseUrl,
+        roundId: round.id,
+        playerId,
+        sessionId,
+        amount: betAmount,
+        currency,
+        betSequence
+      });
+    } catch (error) {
+      // Nothing was placed, so nothing may stay reserved
+      flipEngine.releaseLiability(round.id, betSequence);
+      throw error;
+    }
 
     if (!callbackResult.success) {
-      // Platform rejected the bet
-      throw new Error(callbackResult.message || callbackResult.code || 'Bet rejected by platform');
+      flipEngine.releaseLiability(round.id, betSequence);
+
+      // The platform may have debited a bet it did not (verifiably) answer, so it is rolled back;
+      // the platform finds the bet by its request ID and refunds nothing if it never applied it
+      if (callbackResult.unresolved) {
+        console.error(`[BetService] Bet of player ${playerId} is unresolved (${callbackResult.code}), rolling back`);
+        await this.refund({
+          operatorId,
+          callbackBaseUrl,
+          roundId: round.id,
+          playerId,
+          sessionId,
+          amount: betAmount,
+          currency,
+          originalTransactionId: null,
+          reason: callbackResult.code === 'PLATFORM_SIGNATURE_INVALID' ? 'UNVERIFIED_RESPONSE' : 'UNCONFIRMED_BET',
+          betSequence
+        });
+
+        throw errors.fromBody({ code: callbackResult.code, details: { ...callbackResult.details, betCancelled: true } });
+      }
+
+      // Platform rejected the bet, or it was never sent (INSUFFICIENT_FUNDS, PLATFORM_REJECTED, PLATFORM_UNAVAILABLE, ...)
+      throw errors.fromBody(callbackResult);
     }
 
     // Register bet with flip engine
     try {
-      const bet = flipEngine.addBet(playerId, roundedAmount, choice, sessionId);
+      const bet = flipEngine.addBet(playerKey, betAmount, choice, sessionId, seedPair.clientSeed, round.id, betSequence, {
+        currency,
+        ...limits
+      });
 
       // Track the bet with transaction ID
-      this.activeBets.set(playerId, {
+      this.activeBets.set(bet.id, {
         bet,
         transactionId: callbackResult.transactionId,
         roundId: round.id,
+        operatorId,
+        platformPlayerId: playerId,
         callbackBaseUrl,
         currency
       });
 
+      // Journal the debited bet so a restart can settle or refund it
+      try {
+        journal.recordBet(round.id, {
+          ...bet,
+          transactionId: callbackResult.transactionId,
+          operatorId,
+          platformPlayerId: playerId,
+          callbackBaseUrl,
+          currency
+        });
+      } catch (error) {
+        console.error(`[BetService] CRITICAL: Could not journal bet ${bet.id}:`, error.message);
+      }
+
       // Update cached balance
-      sessionService.updateBalance(sessionId, callbackResult.newBalance);
+      if (callbackResult.newBalance !== null) {
+        sessionService.updateBalance(sessionId, callbackResult.newBalance);
+      }
 
-      console.log(`[BetService] Bet placed: player=${playerId}, amount=${roundedAmount}, choice=${choice}, txId=${callbackResult.transactionId}`);
+      console.log(`[BetService] Bet placed: player=${playerId}, bet=${bet.id}, amount=${format(betAmount)} ${currency}, choice=${choice}, txId=${callbackResult.transactionId}`);
 
       return {
         success: true,
         bet: {
-          amount: roundedAmount,
+          betId: bet.id,
+          amount: format(betAmount),
+          currency,
           choice,
           roundId: round.id,
-          transactionId: callbackResult.transactionId
+          transactionId: callbackResult.transactionId,
+          clientSeed: bet.clientSeed,
+          nonce: bet.nonce
         },
-        newBalance: callbackResult.newBalance
+        newBalance: this.formatBalance(callbackResult.newBalance, currency)
       };
     } catch (error) {
       // If we failed to register the bet after platform deducted balance, rollback
       console.error(`[BetService] Failed to register bet, initiating rollback:`, error.message);
+      flipEngine.releaseLiability(round.id, betSequence);
 
-      await callbackService.rollback({
+      await this.refund({
+        operatorId,
         callbackBaseUrl,
         roundId: round.id,
         playerId,
         sessionId,
-        amount: roundedAmount,
+        amount: betAmount,
         currency,
         originalTransactionId: callbackResult.transactionId,
-        reason: 'REGISTRATION_FAILED'
+        reason: 'REGISTRATION_FAILED',
+        betSequence
       });
 
       throw error;
     }
   }
 
+  /**
+   * Cancel a bet during the betting phase and refund it
+   * betId defaults to the player's most recent bet in the current round
+   */
+  async cancelBet(sessionId, betId) {
+    const session = sessionService.validateSession(sessionId);
+
+    return this.withPlayerLock(session.playerKey, () => this.executeCancel(session, betId));
+  }
+
+  /**
+   * Set or rotate the player's client seed, refused with BET_IN_PROGRESS while a bet is in flight
+   * (the bet being debited already carries the current seed pair)
+   */
+  async setClientSeed(sessionId, clientSeed) {
+    const session = sessionService.validateSession(sessionId);
+
+    return this.withPlayerLock(session.playerKey, async () => sessionService.setClientSeed(sessionId, clientSeed));
+  }
+
+  /**
+   * Remove a bet and refund it through the platform (runs under the player lock)
+   */
+  async executeCancel(session, betId) {
+    const { sessionId, playerId, playerKey } = session;
+    const { flipEngine, journal } = tableService.requireTable(session.tableId);
+
+    if (!betId) {
+      const bets = flipEngine.getPlayerBets(playerKey);
+      if (bets.length === 0) {
+        errors.fail('BET_NOT_FOUND');
+      }
+      betId = bets[bets.length - 1].id;
+    }
+
+    const activeBet = this.activeBets.get(betId);
+    if (!activeBet || activeBet.bet.playerId !== playerKey) {
+      errors.fail('BET_NOT_FOUND');
+    }
+
+    // Take the bet out of the round first so it cannot be settled while the refund is in flight
+    const bet = flipEngine.removeBet(playerKey, betId);
+
+    this.activeBets.delete(betId);
+    journal.removeBet(activeBet.roundId, betId);
+
+    // The cancellation stands either way; an unconfirmed refund is retried from the outbox
+    const callbackResult = await this.refund({
+      operatorId: activeBet.operatorId,
+      callbackBaseUrl: activeBet.callbackBaseUrl,
+      roundId: activeBet.roundId,
+      playerId,
+      sessionId,
+      amount: bet.amount,
+      currency: activeBet.currency,
+      originalTransactionId: activeBet.transactionId,
+      reason: 'PLAYER_CANCELLED',
+      betSequence: bet.sequence
+    });
+
+    if (callbackResult.success && callbackResult.newBalance !== null) {
+      sessionService.updateBalance(sessionId, callbackResult.newBalance);
+    }
+
+    console.log(`[BetService] Bet cancelled: player=${playerId}, bet=${betId}, amount=${money.toDecimal(bet.amount, activeBet.currency)} ${activeBet.currency}, refund=${callbackResult.success ? callbackResult.transactionId : 'queued'}`);
+
+    return {
+      success: true,
+      bet: {
+        betId,
+        amount: money.toDecimal(bet.amount, activeBet.currency),
+        currency: activeBet.currency,
+        choice: bet.choice,
+        roundId: activeBet.roundId
+      },
+      refundPending: !callbackResult.success,
+      newBalance: callbackResult.success ? this.formatBalance(callbackResult.newBalance, activeBet.currency) : null
+    };
+  }
+
+  /**
+   * Bet limits for a session in minor units: the currency's, narrowed by its table and operator
+   */
+  getBetLimits(session) {
+    const table = tableService.requireTable(session.tableId);
+    const operator = operatorService.requireOperator(session.operatorId);
+    return operatorService.getBetLimits(operator, session.currency, table);
+  }
+
+  /**
+   * Largest bet the session can place on each choice in the current round, in minor units:
+   * its maximum bet, what is left of its round total, the stake that pays its maximum win and
+   * what the round's liability still allows (0 where that is below the minimum bet).
+   * Null outside the betting phase.
+   */
+  getMaxBets(session) {
+    const { flipEngine } = tableService.requireTable(session.tableId);
+    const round = flipEngine.getCurrentRound();
+    if (!round || round.status !== 'betting') return null;
+
+    const limits = this.getBetLimits(session);
+    const roundTotalLeft = limits.maxRoundTotal - flipEngine.getPlayerRoundTotal(session.playerKey);
+    const maxBets = {};
+
+    for (const choice of ['HEADS', 'TAILS', 'EDGE']) {
+      const maxBet = Math.min(limits.maxBet, roundTotalLeft, flipEngine.getMaxStake(session.currency, choice, limits));
+      maxBets[choice] = maxBet >= limits.minBet ? maxBet : 0;
+    }
+
+    return { roundId: round.id, maxBets };
+  }
+
+  /**
+   * Format a platform balance (minor units, or null if unknown) for a client
+   */
+  formatBalance(balance, currency) {
+    return balance === null || balance === undefined ? null : money.toDecimal(balance, currency);
+  }
+
+  /**
+   * Refund a bet through the platform, queueing it in the settlement outbox if not confirmed
+   */
+  async refund(params) {
+    const callbackResult = await callbackService.rollback(params);
+
+    if (!callbackResult.success) {
+      settlementService.enqueue('rollback', { ...params, requestId: callbackResult.requestId }, callbackResult);
+    }
+
+    return callbackResult;
+  }
+
+  /**
+   * Hand an unconfirmed win to the settlement outbox, and return the bet's result
+   */
+  queueWin(winner, winParams, failure) {
+    const settlement = settlementService.enqueue('win', winParams, failure);
+    return {
+      betId: winner.betId,
+      playerId: winner.playerId,
+      success: false,
+      queued: true,
+      settlementId: settlement.id,
+      error: failure.message || failure.code
+    };
+  }
+
   /**
    * Process round results - handle winners and losers
    * Called by round service when round finishes
+   * Winners and losers are per bet; each winning bet is credited with its own callback
+   * Their playerId is the engine's player key; callbacks use the platform's player ID
    */
   async processRoundResults(roundId, winners, losers) {
     const results = [];
 
     // Process winners
     for (const winner of winners) {
-      const activeBet = this.activeBets.get(winner.playerId);
+      const activeBet = this.activeBets.get(winner.betId);
       if (activeBet) {
+        let winParams = null;
         try {
           // Call platform to credit winnings
-          const callbackResult = await callbackService.creditWin({
+          winParams = {
+            operatorId: activeBet.operatorId,
             callbackBaseUrl: activeBet.callbackBaseUrl,
             roundId,
-            playerId: winner.playerId,
+            playerId: activeBet.platformPlayerId,
             sessionId: activeBet.bet.sessionId,
             betAmount: winner.betAmount,
             winAmount: winner.winAmount,
             currency: activeBet.currency,
-            betTransactionId: activeBet.transactionId
-          });
+            betTransactionId: activeBet.transactionId,
+            betSequence: activeBet.bet.sequence,
+            requestId: callbackService.getRequestId('WIN', roundId, activeBet.platformPlayerId, activeBet.bet.sequence)
+          };
+          const callbackResult = await callbackService.creditWin(winParams);
 
           if (callbackResult.success) {
             // Update cached balance
-            const session = sessionService.getSessionByPlayerId(winner.playerId);
-            if (session) {
+            const session = sessionService.getSessionByPlayerKey(winner.playerId);
+            if (session && callbackResult.newBalance !== null) {
               sessionService.updateBalance(session.sessionId, callbackResult.newBalance);
             }
 
             results.push({
+              betId: winner.betId,
               playerId: winner.playerId,
               success: true,
               winAmount: winner.winAmount,
               newBalance: callbackResult.newBalance
             });
           } else {
-            console.error(`[BetService] CRITICAL: Win callback failed for player ${winner.playerId}:`, callbackResult);
-            results.push({
-              playerId: winner.playerId,
-              success: false,
-              error: callbackResult.message || callbackResult.code
-            });
+            // The outbox keeps retrying with the same requestId until the platform confirms
+            results.push(this.queueWin(winner, winParams, callbackResult));
           }
 
-          // Clear active bet
-          this.activeBets.delete(winner.playerId);
+          // Clear active bet (an unconfirmed win now lives in the settlement outbox)
+          this.activeBets.delete(winner.betId);
         } catch (error) {
-          console.error(`[BetService] Error processing win for ${winner.playerId}:`, error.message);
+          console.error(`[BetService] Error processing win for bet ${winner.betId} of ${winner.playerId}:`, error.message);
+
+          // A throw is no answer from the platform either: queue the win rather than drop it
+          if (winParams) {
+            try {
+              results.push(this.queueWin(winner, winParams, { message: error.message }));
+              this.activeBets.delete(winner.betId);
+              continue;
+            } catch (queueError) {
+              console.error(`[BetService] CRITICAL: Could not queue win for bet ${winner.betId}:`, queueError.message);
+            }
+          }
           results.push({
+            betId: winner.betId,
             playerId: winner.playerId,
             success: false,
             error: error.message
@@ -183,30 +447,60 @@ class BetService {
 
     // Process losers (just clean up, balance already deducted)
     for (const loser of losers) {
-      const activeBet = this.activeBets.get(loser.playerId);
+      const activeBet = this.activeBets.get(loser.betId);
       if (activeBet) {
-        console.log(`[BetService] Player ${loser.playerId} lost ${loser.betAmount} (chose ${loser.choice})`);
-        this.activeBets.delete(loser.playerId);
+        console.log(`[BetService] Player ${loser.playerId} lost ${money.toDecimal(loser.betAmount, activeBet.currency)} ${activeBet.currency} (chose ${loser.choice}, bet ${loser.betId})`);
+        this.activeBets.delete(loser.betId);
       }
     }
 
-    console.log(`[BetService] Round ${roundId} results processed: ${winners.length} winners, ${losers.length} losers`);
+    console.log(`[BetService] Round ${roundId} results processed: ${winners.length} winning bets, ${losers.length} losing bets`);
 
     return results;
   }
 
   /**
-   * Get player's active bet
+   * Track a journaled bet again after a restart, so its round can be settled
+   */
+  restoreActiveBet(roundId, bet) {
+    this.activeBets.set(bet.id, {
+      bet,
+      transactionId: bet.transactionId,
+      roundId,
+      operatorId: bet.operatorId,
+      platformPlayerId: bet.platformPlayerId,
+      callbackBaseUrl: bet.callbackBaseUrl,
+      currency: bet.currency
+    });
+  }
+
+  /**
+   * Stop tracking a bet that was refunded outside the normal flow
+   */
+  removeActiveBet(betId) {
+    this.activeBets.delete(betId);
+  }
+
+  /**
+   * Get an active bet (bet IDs include the round ID, so they are unique across tables)
+   */
+  getActiveBet(betId) {
+    return this.activeBets.get(betId);
+  }
+
+  /**
+   * Get a player's active bets in a round (by player key)
    */
-  getActiveBet(playerId) {
-    return this.activeBets.get(playerId);
+  getActiveBets(roundId, playerKey) {
+    return Array.from(this.activeBets.values())
+      .filter(activeBet => activeBet.roundId === roundId && activeBet.bet.playerId === playerKey);
   }
 
   /**
-   * Check if player has active bet
+   * Check if a bet is still active
    */
-  hasActiveBet(playerId) {
-    return this.activeBets.has(playerId);
+  hasActiveBet(betId) {
+    return this.activeBets.has(betId);
   }
 
   /**
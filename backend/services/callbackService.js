@@ -1,25 +1,176 @@
 const config = require('../config');
-const { generateCallbackSignature } = require('../util/hmac');
+const { generateCallbackSignature, validateResponseSignature } = require('../util/hmac');
+const storage = require('../storage');
+const money = require('../util/money');
+const operatorService = require('./operatorService');
+const platformHealthService = require('./platformHealthService');
+const ledgerService = require('./ledgerService');
+const errors = require('../util/errors');
 
 /**
  * Callback Service
  * Handles all outgoing HTTP callbacks to the platform
+ *
+ * Bet, win and rollback request IDs are derived from the round, player and bet
+ * sequence, so re-sending the same operation (retry, outbox, restart) always
+ * carries the same ID and the platform can answer it without applying it twice.
+ * Payloads are signed with the secret of the session's operator, and the platform
+ * signs its responses with the same secret (X-Platform-Signature). A response
+ * whose signature is missing or wrong fails with PLATFORM_SIGNATURE_INVALID and
+ * its body is never used.
+ *
+ * Failed callbacks return { success: false, code, message, details, requestId } with a
+ * code from util/errors.js; the platform's own error code is kept in details.platformCode.
+ * Each callbackBaseUrl has a circuit breaker (see platformHealthService.js): while it is
+ * open, callbacks fail at once with PLATFORM_UNAVAILABLE instead of waiting for timeouts.
+ *
+ * Retries depend on the callback type (RETRY_POLICIES). Balance queries and the idempotent
+ * win and rollback callbacks are resent on any unacknowledged failure; a bet is never resent
+ * blindly, since the platform may have debited it: placeBet() asks the platform for the
+ * request's status instead, and reports the bet as unresolved if that does not settle it.
+ * Every attempt is logged against its requestId (getAttempts), and every bet, win and
+ * rollback has a leg in the ledger (see ledgerService.js) with its latest outcome.
+ *
+ * Callers pass amounts in minor units; payloads carry them as decimal strings in
+ * the session currency, and balances the platform returns are read back into minor units.
  */
 
+/**
+ * Build the request ID for a money callback, e.g. BET-F-1700000000000-42-player1-3
+ */
+function buildRequestId(type, roundId, playerId, betSequence) {
+  if (!roundId || !playerId || !Number.isInteger(betSequence)) {
+    throw new Error(`Cannot build a ${type} request ID without round, player and bet sequence`);
+  }
+  return `${type}-${roundId}-${playerId}-${betSequence}`;
+}
+
+/**
+ * Read an amount returned by the platform as minor units (null if missing or malformed)
+ */
+function readAmount(value, currency) {
+  if (value === undefined || value === null) return null;
+
+  try {
+    return money.toMinor(value, currency);
+  } catch (error) {
+    console.warn(`[CallbackService] Ignoring unreadable ${currency} amount from platform: ${value}`);
+    return null;
+  }
+}
+
+// Failures where the request never got through to the platform (they count against its breaker)
+const TRANSPORT_FAILURES = ['PLATFORM_TIMEOUT', 'PLATFORM_ERROR'];
+
+// HTTP statuses that mean the request should be tried again later rather than that it was refused
+const TRANSIENT_CLIENT_ERRORS = [408, 429];
+
+// Failures after which the platform may or may not have applied the request
+const UNACKNOWLEDGED = [...TRANSPORT_FAILURES, 'PLATFORM_SIGNATURE_INVALID', 'PLATFORM_INVALID_RESPONSE'];
+
+// Failures makeRequest retries, per callback (up to CALLBACK.RETRY_ATTEMPTS attempts)
+const RETRY_POLICIES = {
+  balance: UNACKNOWLEDGED, // Read-only
+  status: UNACKNOWLEDGED, // Read-only
+  win: UNACKNOWLEDGED, // Idempotent by requestId; the settlement outbox takes over afterwards
+  rollback: UNACKNOWLEDGED, // Same
+  bet: [] // Never resent blindly, see placeBet()
+};
+
+/**
+ * Ledger status of a money callback's result
+ */
+function toLedgerStatus(result) {
+  if (result.success) {
+    return result.transactionId === null || result.transactionId === undefined ? 'NOT_APPLIED' : 'APPLIED';
+  }
+  if (result.unresolved) return 'UNRESOLVED';
+  return UNACKNOWLEDGED.includes(result.code) ? 'PENDING' : 'NOT_APPLIED';
+}
+
+/**
+ * Describe why a platform request failed as a GameError
+ */
+function toPlatformError(error) {
+  if (error instanceof errors.GameError) return error;
+  if (error.name === 'TimeoutError') return new errors.GameError('PLATFORM_TIMEOUT');
+  if (error instanceof SyntaxError) return new errors.GameError('PLATFORM_INVALID_RESPONSE');
+  // fetch() reports network failures as "fetch failed", with the actual reason in its cause
+  const reason = error.cause ? error.cause.code || error.cause.message : error.message;
+  return new errors.GameError('PLATFORM_ERROR', { reason });
+}
+
+/**
+ * Failed result for an error thrown while calling the platform (requestId is left out for balance)
+ */
+function failed(error, requestId) {
+  return { success: false, ...errors.toErrorBody(error), requestId };
+}
+
+/**
+ * GameError for an error response of the platform
+ * (its INSUFFICIENT_FUNDS is passed on as such, anything else is PLATFORM_REJECTED)
+ */
+function toRejection(response) {
+  return response.code === 'INSUFFICIENT_FUNDS'
+    ? new errors.GameError('INSUFFICIENT_FUNDS')
+    : new errors.GameError('PLATFORM_REJECTED', { platformCode: response.code || 'UNKNOWN', platformMessage: response.message || null });
+}
+
+/**
+ * Failed result for an error response of the platform
+ */
+function rejected(response, requestId) {
+  return failed(toRejection(response), requestId);
+}
+
+/**
+ * Read the error a 4xx response body gives, if it is signed by the platform and readable
+ * (the response may come from a proxy in front of it, then only its status is known)
+ */
+function readClientError(secret, signature, status, body, bodySignature) {
+  if (validateResponseSignature(secret, signature, body, bodySignature)) {
+    try {
+      const response = JSON.parse(body);
+      if (response && response.code) return response;
+    } catch (error) {
+      // Fall through to the status
+    }
+  }
+  return { code: `HTTP_${status}`, message: null };
+}
+
 class CallbackService {
   constructor() {
-    // Track pending callbacks for potential rollback
-    this.pendingTransactions = new Map();
+    // Outcome of every attempt of a money callback (requestId -> { requestId, type, attempts })
+    this.attemptLog = storage.collection('callbackAttempts');
+
+    // Drop attempt logs past their retention
+    setInterval(() => this.pruneAttempts(), 60 * 60 * 1000).unref();
   }
 
   /**
-   * Make HTTP request to platform
+   * Make HTTP request to the platform's endpoint under callbackBaseUrl, signed with the operator's secret
+   * The response must carry the platform's signature over this request's signature and its body.
+   * Throws a GameError. Failures are retried as RETRY_POLICIES allows for the endpoint,
+   * but not once they have opened the endpoint's breaker. A 4xx answer (other than 408 and 429)
+   * throws PLATFORM_REJECTED (or INSUFFICIENT_FUNDS) with the platform's code if its body is
+   * signed, HTTP_<status> otherwise.
    */
-  async makeRequest(url, payload, attempt = 1) {
-    const signature = generateCallbackSignature(config.PROVIDER_SECRET, payload);
+  async makeRequest(callbackBaseUrl, endpoint, payload, secret, attempt = 1) {
+    const signature = generateCallbackSignature(secret, payload);
+
+    // Throws PLATFORM_UNAVAILABLE while the breaker is open
+    try {
+      platformHealthService.beforeRequest(callbackBaseUrl);
+    } catch (error) {
+      this.recordAttempt(endpoint, payload, attempt, 0, { outcome: error.code });
+      throw error;
+    }
+    const startedAt = Date.now();
 
     try {
-      const response = await fetch(url, {
+      const response = await fetch(`${callbackBaseUrl}/${endpoint}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -30,26 +181,110 @@ class CallbackService {
         signal: AbortSignal.timeout(config.CALLBACK.TIMEOUT_MS)
       });
 
-      const data = await response.json();
+      // A 4xx is an answer: the request was refused and not applied, so it is neither retried
+      // nor counted against the breaker
+      if (response.status >= 400 && response.status < 500 && !TRANSIENT_CLIENT_ERRORS.includes(response.status)) {
+        const body = await response.text();
+        throw toRejection(readClientError(secret, signature, response.status, body, response.headers.get('X-Platform-Signature')));
+      }
 
+      // Other error responses may come from a proxy rather than the platform, so they are not read
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${data.message || 'Unknown error'}`);
+        errors.fail('PLATFORM_ERROR', { reason: `HTTP ${response.status}` });
       }
 
-      return data;
-    } catch (error) {
-      console.error(`[CallbackService] Request failed (attempt ${attempt}):`, error.message);
+      const body = await response.text();
+      if (!validateResponseSignature(secret, signature, body, response.headers.get('X-Platform-Signature'))) {
+        errors.fail('PLATFORM_SIGNATURE_INVALID');
+      }
+
+      const result = JSON.parse(body);
+      const latency = Date.now() - startedAt;
+      platformHealthService.recordSuccess(callbackBaseUrl, latency);
+      this.recordAttempt(endpoint, payload, attempt, latency, {
+        outcome: 'ANSWERED',
+        platformStatus: result.status || null,
+        platformCode: result.code || null
+      });
+      return result;
+    } catch (cause) {
+      const error = toPlatformError(cause);
+      const latency = Date.now() - startedAt;
+      console.error(`[CallbackService] ${endpoint} request failed (attempt ${attempt}):`, error.message);
+      this.recordAttempt(endpoint, payload, attempt, latency, { outcome: error.code, reason: error.message });
+
+      // A response that cannot be used still shows the platform is up
+      if (TRANSPORT_FAILURES.includes(error.code)) {
+        platformHealthService.recordFailure(callbackBaseUrl, latency, error.message);
+      } else {
+        platformHealthService.recordSuccess(callbackBaseUrl, latency);
+      }
 
       // Retry logic
-      if (attempt < config.CALLBACK.RETRY_ATTEMPTS) {
+      if (RETRY_POLICIES[endpoint].includes(error.code) && attempt < config.CALLBACK.RETRY_ATTEMPTS) {
         await this.delay(config.CALLBACK.RETRY_DELAY_MS * attempt);
-        return this.makeRequest(url, payload, attempt + 1);
+        return this.makeRequest(callbackBaseUrl, endpoint, payload, secret, attempt + 1);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Log one attempt of a money callback against its requestId (balance queries have none)
+   * Status queries are logged against the request they ask about
+   */
+  recordAttempt(endpoint, payload, attempt, durationMs, result) {
+    if (!payload.requestId) return;
+
+    const entry = this.attemptLog.get(payload.requestId) || {
+      requestId: payload.requestId,
+      type: endpoint,
+      roundId: payload.roundId,
+      playerId: payload.playerId,
+      attempts: []
+    };
+
+    entry.attempts.push({ endpoint, attempt, at: Date.now(), durationMs, ...result });
+    entry.updatedAt = Date.now();
+    this.attemptLog.set(payload.requestId, entry);
+  }
+
+  /**
+   * Every logged attempt for a requestId (null if there are none)
+   */
+  getAttempts(requestId) {
+    return this.attemptLog.get(requestId) || null;
+  }
+
+  pruneAttempts() {
+    const cutoff = Date.now() - config.CALLBACK.ATTEMPT_LOG_RETENTION_MS;
+    for (const [requestId, entry] of this.attemptLog) {
+      if (entry.updatedAt < cutoff) {
+        this.attemptLog.delete(requestId);
+      }
+    }
+  }
+
+  /**
+   * Request ID a money callback for this bet is sent with (see buildRequestId)
+   */
+  getRequestId(type, roundId, playerId, betSequence) {
+    return buildRequestId(type, roundId, playerId, betSequence);
+  }
+
+  /**
+   * Record a money callback's result on its ledger leg, and return the result
+   */
+  recordOutcome(requestId, result) {
+    ledgerService.update(requestId, {
+      status: toLedgerStatus(result),
+      transactionId: result.success ? result.transactionId : undefined,
+      error: result.success ? null : result.code
+    });
+    return result;
+  }
+
   /**
    * Helper delay function
    */
@@ -59,169 +294,192 @@ class CallbackService {
 
   /**
    * Bet callback - deduct player balance
+   * Without an acknowledged answer the bet is not resent: its status is queried instead. If that
+   * does not tell whether the platform applied it, the result has unresolved: true and the caller
+   * must roll the bet back (by betRequestId) so it cannot stay debited. A refusal, including a 4xx
+   * answer, is final: the bet was not applied.
    */
-  async placeBet({ callbackBaseUrl, roundId, playerId, sessionId, amount, currency }) {
-    const url = `${callbackBaseUrl}/bet`;
-    const requestId = `BET-${roundId}-${playerId}-${Date.now()}`;
+  async placeBet({ operatorId, callbackBaseUrl, roundId, playerId, sessionId, amount, currency, betSequence }) {
+    const requestId = buildRequestId('BET', roundId, playerId, betSequence);
 
     const payload = {
       requestId,
       roundId,
       playerId,
       sessionId,
-      amount,
+      amount: money.toDecimal(amount, currency),
       currency,
       timestamp: Date.now()
     };
 
-    console.log(`[CallbackService] Sending bet callback:`, { url, payload });
+    console.log(`[CallbackService] Sending bet callback:`, { url: `${callbackBaseUrl}/bet`, payload });
+
+    ledgerService.open({ type: 'BET', requestId, operatorId, callbackBaseUrl, roundId, playerId, sessionId, amount, currency });
 
     try {
-      const response = await this.makeRequest(url, payload);
+      const { secret } = operatorService.requireOperator(operatorId);
+      let response;
+      try {
+        response = await this.makeRequest(callbackBaseUrl, 'bet', payload, secret);
+      } catch (error) {
+        // The platform refused the bet (a 4xx answer), or it was never sent: nothing to look up
+        if (!UNACKNOWLEDGED.includes(error.code)) {
+          return this.recordOutcome(requestId, failed(error, requestId));
+        }
+
+        // The platform's record of the request is the only safe way to learn what happened
+        response = await this.queryStatus(callbackBaseUrl, { requestId, playerId, sessionId }, secret);
+        if (!response) {
+          return this.recordOutcome(requestId, { ...failed(error, requestId), unresolved: true });
+        }
+      }
 
       if (response.transactionId !== undefined) {
-        // Track transaction for potential rollback
-        this.pendingTransactions.set(requestId, {
-          type: 'bet',
-          ...payload,
-          transactionId: response.transactionId
-        });
-
-        return {
+        return this.recordOutcome(requestId, {
           success: true,
           transactionId: response.transactionId,
-          newBalance: response.newBalance,
+          newBalance: readAmount(response.newBalance, currency),
           requestId
-        };
+        });
       } else {
-        return {
-          success: false,
-          code: response.code,
-          message: response.message,
-          requestId
-        };
+        return this.recordOutcome(requestId, rejected(response, requestId));
       }
     } catch (error) {
       console.error(`[CallbackService] Bet callback failed:`, error.message);
-      return {
-        success: false,
-        code: 'CALLBACK_FAILED',
-        message: error.message,
-        requestId
-      };
+      return this.recordOutcome(requestId, failed(error, requestId));
     }
   }
 
+  /**
+   * Ask the platform how it answered a request
+   * Returns the original response, or null if the request was never processed or the
+   * status cannot be read (either way it is unknown whether it was applied)
+   */
+  async queryStatus(callbackBaseUrl, { requestId, playerId, sessionId }, secret) {
+    console.log(`[CallbackService] Querying status of ${requestId}`);
+
+    try {
+      const status = await this.makeRequest(callbackBaseUrl, 'status', { requestId, playerId, sessionId, timestamp: Date.now() }, secret);
+      if (status.found && status.response) {
+        console.log(`[CallbackService] ${requestId} was processed by the platform (${status.response.status})`);
+        return status.response;
+      }
+      console.log(`[CallbackService] ${requestId} is unknown to the platform`);
+    } catch (error) {
+      console.error(`[CallbackService] Status query for ${requestId} failed:`, error.message);
+    }
+    return null;
+  }
+
   /**
    * Win callback - credit player winnings
+   * requestId overrides the derived ID (the settlement outbox passes the one it stored)
    */
-  async creditWin({ callbackBaseUrl, roundId, playerId, sessionId, betAmount, winAmount, currency, betTransactionId }) {
-    const url = `${callbackBaseUrl}/win`;
-    const requestId = `WIN-${roundId}-${playerId}-${Date.now()}`;
+  async creditWin({ operatorId, callbackBaseUrl, roundId, playerId, sessionId, betAmount, winAmount, currency, betTransactionId, betSequence, requestId }) {
+    requestId = requestId || buildRequestId('WIN', roundId, playerId, betSequence);
 
     const payload = {
       requestId,
       roundId,
       playerId,
       sessionId,
-      betAmount,
-      winAmount,
+      betAmount: money.toDecimal(betAmount, currency),
+      winAmount: money.toDecimal(winAmount, currency),
       currency,
       betTransactionId,
       timestamp: Date.now()
     };
 
-    console.log(`[CallbackService] Sending win callback:`, { url, payload });
+    console.log(`[CallbackService] Sending win callback:`, { url: `${callbackBaseUrl}/win`, payload });
+
+    ledgerService.open({
+      type: 'WIN',
+      requestId,
+      operatorId,
+      callbackBaseUrl,
+      roundId,
+      playerId,
+      sessionId,
+      amount: winAmount,
+      currency,
+      betRequestId: buildRequestId('BET', roundId, playerId, betSequence)
+    });
 
     try {
-      const response = await this.makeRequest(url, payload);
+      const { secret } = operatorService.requireOperator(operatorId);
+      const response = await this.makeRequest(callbackBaseUrl, 'win', payload, secret);
 
       if (response.transactionId !== undefined) {
-        // Remove bet from pending since it's now settled
-        this.clearPendingTransaction(betTransactionId);
-
-        return {
+        return this.recordOutcome(requestId, {
           success: true,
           transactionId: response.transactionId,
-          newBalance: response.newBalance,
+          newBalance: readAmount(response.newBalance, currency),
           requestId
-        };
+        });
       } else {
-        return {
-          success: false,
-          code: response.code,
-          message: response.message,
-          requestId
-        };
+        return this.recordOutcome(requestId, rejected(response, requestId));
       }
     } catch (error) {
       console.error(`[CallbackService] Win callback failed:`, error.message);
-      return {
-        success: false,
-        code: 'CALLBACK_FAILED',
-        message: error.message,
-        requestId
-      };
+      return this.recordOutcome(requestId, failed(error, requestId));
     }
   }
 
   /**
    * Rollback callback - refund a bet
+   * requestId overrides the derived ID (the settlement outbox passes the one it stored)
+   * originalTransactionId is null when the bet's response could not be trusted; the platform
+   * finds the bet by betRequestId then, and refunds nothing if it never applied it
    */
-  async rollback({ callbackBaseUrl, roundId, playerId, sessionId, amount, currency, originalTransactionId, reason }) {
-    const url = `${callbackBaseUrl}/rollback`;
-    const requestId = `ROLLBACK-${roundId}-${playerId}-${Date.now()}`;
+  async rollback({ operatorId, callbackBaseUrl, roundId, playerId, sessionId, amount, currency, originalTransactionId, reason, betSequence, requestId }) {
+    requestId = requestId || buildRequestId('ROLLBACK', roundId, playerId, betSequence);
+    const betRequestId = buildRequestId('BET', roundId, playerId, betSequence);
 
     const payload = {
       requestId,
       roundId,
       playerId,
       sessionId,
-      amount,
+      amount: money.toDecimal(amount, currency),
       currency,
       originalTransactionId,
+      betRequestId,
       reason,
       timestamp: Date.now()
     };
 
-    console.log(`[CallbackService] Sending rollback callback:`, { url, payload });
+    console.log(`[CallbackService] Sending rollback callback:`, { url: `${callbackBaseUrl}/rollback`, payload });
+
+    ledgerService.open({ type: 'ROLLBACK', requestId, operatorId, callbackBaseUrl, roundId, playerId, sessionId, amount, currency, betRequestId });
 
     try {
-      const response = await this.makeRequest(url, payload);
+      const { secret } = operatorService.requireOperator(operatorId);
+      const response = await this.makeRequest(callbackBaseUrl, 'rollback', payload, secret);
 
       if (response.status === 'OK') {
-        this.clearPendingTransaction(originalTransactionId);
+        // The answer also settles the bet, if it was unresolved
+        const refunded = response.transactionId !== null && response.transactionId !== undefined;
+        ledgerService.resolveBet(betRequestId, refunded);
 
-        return {
+        return this.recordOutcome(requestId, {
           success: true,
-          transactionId: response.transactionId,
-          newBalance: response.newBalance,
+          transactionId: refunded ? response.transactionId : null,
+          newBalance: readAmount(response.newBalance, currency),
           requestId
-        };
+        });
       } else {
-        return {
-          success: false,
-          code: response.code,
-          message: response.message,
-          requestId
-        };
+        return this.recordOutcome(requestId, rejected(response, requestId));
       }
     } catch (error) {
       console.error(`[CallbackService] Rollback callback failed:`, error.message);
-      return {
-        success: false,
-        code: 'CALLBACK_FAILED',
-        message: error.message,
-        requestId
-      };
+      return this.recordOutcome(requestId, failed(error, requestId));
     }
   }
 
   /**
    * Balance callback - get current player balance
    */
-  async getBalance({ callbackBaseUrl, playerId, sessionId }) {
-    const url = `${callbackBaseUrl}/balance`;
+  async getBalance({ operatorId, callbackBaseUrl, playerId, sessionId, currency }) {
 
     const payload = {
       playerId,
@@ -229,39 +487,21 @@ class CallbackService {
       timestamp: Date.now()
     };
 
-    console.log(`[CallbackService] Getting balance:`, { url, playerId });
+    console.log(`[CallbackService] Getting balance:`, { url: `${callbackBaseUrl}/balance`, playerId });
 
     try {
-      const response = await this.makeRequest(url, payload);
-      response.success = true;
-      return response;
-    } catch (error) {
-      console.error(`[CallbackService] Balance callback failed:`, error.message);
-      return {
-        success: false,
-        code: 'CALLBACK_FAILED',
-        message: error.message
-      };
-    }
-  }
+      const response = await this.makeRequest(callbackBaseUrl, 'balance', payload, operatorService.requireOperator(operatorId).secret);
+      const balance = readAmount(response.balance, currency);
 
-  /**
-   * Clear pending transaction
-   */
-  clearPendingTransaction(transactionId) {
-    for (const [requestId, tx] of this.pendingTransactions) {
-      if (tx.transactionId === transactionId) {
-        this.pendingTransactions.delete(requestId);
-        break;
+      if (balance === null) {
+        return failed(new errors.GameError('PLATFORM_INVALID_RESPONSE'));
       }
-    }
-  }
 
-  /**
-   * Get all pending transactions (for cleanup/recovery)
-   */
-  getPendingTransactions() {
-    return Array.from(this.pendingTransactions.values());
+      return { ...response, success: true, balance, currency };
+    } catch (error) {
+      console.error(`[CallbackService] Balance callback failed:`, error.message);
+      return failed(error);
+    }
   }
 }
 
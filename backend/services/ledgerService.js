@@ -0,0 +1,153 @@
+const config = require('../config');
+const storage = require('../storage');
+const money = require('../util/money');
+
+/**
+ * Ledger Service
+ * Provider-side record of every bet, win and rollback sent to a platform
+ *
+ * Each money callback has one leg, keyed by its requestId, with the amount (minor
+ * units), round, player, currency and the platform's transaction ID. callbackService
+ * opens the leg before the first attempt and records every outcome on it, so
+ * retries, the settlement outbox and round recovery all update the same leg.
+ * reconciliationService compares the legs with the platform's transaction export.
+ *
+ * Leg status:
+ * - PENDING: sent, no acknowledged answer yet (e.g. a win waiting in the settlement outbox)
+ * - APPLIED: the platform moved the money
+ * - NOT_APPLIED: the platform answered without moving any (a rejection, or a rollback of
+ *   a bet it never took), or the callback never reached it
+ * - UNRESOLVED: a bet whose outcome stayed unknown; its compensating rollback settles it
+ * - RESOLVED: an operator settled it outside the provider
+ */
+
+const TYPES = ['BET', 'WIN', 'ROLLBACK'];
+
+// Legs that may still change; they are kept past the retention
+const OPEN_STATUSES = ['PENDING', 'UNRESOLVED'];
+
+class LedgerService {
+  constructor() {
+    // Map of requestId -> leg
+    this.legs = storage.collection('ledger');
+
+    // Drop settled legs past their retention
+    setInterval(() => this.prune(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Open the leg of a money callback before it is sent
+   * A leg that already exists (the same requestId sent again) is returned as it is
+   */
+  open({ type, requestId, operatorId, callbackBaseUrl, roundId, playerId, sessionId, amount, currency, betRequestId = null }) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown ledger type ${type}`);
+    }
+
+    const existing = this.legs.get(requestId);
+    if (existing) return existing;
+
+    const now = Date.now();
+    const leg = {
+      requestId,
+      type,
+      operatorId,
+      callbackBaseUrl,
+      roundId,
+      playerId,
+      sessionId,
+      amount,
+      currency,
+      betRequestId,
+      status: 'PENDING',
+      transactionId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.legs.set(requestId, leg);
+    return leg;
+  }
+
+  /**
+   * Record a new status on a leg, with the platform's transaction ID, the failure code or an operator's note
+   */
+  update(requestId, { status, transactionId, error, note }) {
+    const leg = this.legs.get(requestId);
+    if (!leg) {
+      console.warn(`[LedgerService] No ledger leg for ${requestId}`);
+      return null;
+    }
+
+    leg.status = status;
+    if (transactionId !== undefined) leg.transactionId = transactionId;
+    if (error !== undefined) leg.error = error;
+    if (note !== undefined) leg.note = note;
+    leg.updatedAt = Date.now();
+
+    this.legs.set(requestId, leg);
+    return leg;
+  }
+
+  /**
+   * Settle an unresolved bet once its compensating rollback is answered
+   * A refund shows the platform had applied the bet; a rollback with nothing to refund, that it never did
+   */
+  resolveBet(betRequestId, refunded) {
+    const leg = this.legs.get(betRequestId);
+    if (!leg || leg.status !== 'UNRESOLVED') return;
+
+    this.update(betRequestId, { status: refunded ? 'APPLIED' : 'NOT_APPLIED' });
+    console.log(`[LedgerService] Unresolved bet ${betRequestId} was ${refunded ? 'applied and refunded' : 'never applied'}`);
+  }
+
+  /**
+   * Get a leg by requestId (null if there is none)
+   */
+  getLeg(requestId) {
+    return this.legs.get(requestId) || null;
+  }
+
+  /**
+   * List legs, newest first
+   * Filters (all optional): operatorId, roundId, playerId, status, and from / to bounds on createdAt (ms)
+   */
+  list({ operatorId, roundId, playerId, status, from, to } = {}) {
+    return Array.from(this.legs.values())
+      .filter(leg => !operatorId || leg.operatorId === operatorId)
+      .filter(leg => !roundId || leg.roundId === roundId)
+      .filter(leg => !playerId || leg.playerId === playerId)
+      .filter(leg => !status || leg.status === status)
+      .filter(leg => (from === undefined || leg.createdAt >= from) && (to === undefined || leg.createdAt <= to))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Effect of a leg on the player's balance in minor units (bets debit, wins and rollbacks credit)
+   */
+  getSignedAmount(leg) {
+    return leg.type === 'BET' ? -leg.amount : leg.amount;
+  }
+
+  /**
+   * A leg with its amount as a decimal string, for the operator API
+   */
+  format(leg) {
+    return { ...leg, amount: money.toDecimal(leg.amount, leg.currency) };
+  }
+
+  prune() {
+    const cutoff = Date.now() - config.LEDGER.RETENTION_MS;
+    for (const [requestId, leg] of this.legs) {
+      if (leg.updatedAt < cutoff && !OPEN_STATUSES.includes(leg.status)) {
+        this.legs.delete(requestId);
+      }
+    }
+  }
+}
+
+// Singleton
+const ledgerService = new LedgerService();
+
+module.exports = ledgerService;
@@ -0,0 +1,225 @@
+const config = require('../config');
+const oddsProfiles = require('../engine/oddsProfiles');
+const money = require('../util/money');
+const tableService = require('./tableService');
+const { fail } = require('../util/errors');
+
+/**
+ * Operator Service
+ * Registry of the casino platforms allowed to open sessions
+ *
+ * Each operator has its own secret (for /session/init signatures and callback
+ * signatures), the callback base URLs the provider may call, the currencies it
+ * plays in with bet limits per currency, an optional odds profile, the theme of
+ * its iframes and an optional transaction export for reconciliation. Sessions only accept a callbackBaseUrl from the operator's
+ * list, so the provider never posts signed payloads elsewhere.
+ *
+ * Probabilities are shared by everyone in a round, so an operator's odds profile
+ * picks the tables its players may join rather than changing a table's odds.
+ */
+
+// Theme colors end up in CSS custom properties, so only plain hex colors are accepted
+const THEME_COLORS = { BACKGROUND: 'background', BACKGROUND_GLOW: 'backgroundGlow', ACCENT: 'accent' };
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Normalize a callback base URL for comparison (no trailing slash)
+ * Returns null if it is not a plain http(s) URL
+ */
+function normalizeCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.username || url.password || url.search || url.hash) {
+    return null;
+  }
+
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+class OperatorService {
+  constructor() {
+    // Map of operatorId -> operator
+    this.operators = new Map();
+
+    for (const [id, definition] of Object.entries(config.OPERATORS)) {
+      this.operators.set(id, this.buildOperator(id, definition));
+    }
+
+    if (this.operators.size === 0) {
+      throw new Error('No operators configured');
+    }
+  }
+
+  /**
+   * Validate an operator definition from config
+   */
+  buildOperator(id, { NAME, SECRET, CALLBACK_URLS, TRANSACTIONS_URL, CURRENCIES, ODDS_PROFILE, THEME = {} }) {
+    if (!SECRET) {
+      throw new Error(`Operator ${id} needs a SECRET`);
+    }
+
+    if (!Array.isArray(CALLBACK_URLS) || CALLBACK_URLS.length === 0) {
+      throw new Error(`Operator ${id} needs at least one CALLBACK_URLS entry`);
+    }
+
+    const callbackUrls = CALLBACK_URLS.map(value => {
+      const url = normalizeCallbackUrl(value);
+      if (!url) {
+        throw new Error(`Operator ${id} has an invalid callback URL ${value}`);
+      }
+      return url;
+    });
+
+    const transactionsUrl = TRANSACTIONS_URL ? normalizeCallbackUrl(TRANSACTIONS_URL) : null;
+    if (TRANSACTIONS_URL && !transactionsUrl) {
+      throw new Error(`Operator ${id} has an invalid TRANSACTIONS_URL ${TRANSACTIONS_URL}`);
+    }
+
+    if (!CURRENCIES || typeof CURRENCIES !== 'object' || Object.keys(CURRENCIES).length === 0) {
+      throw new Error(`Operator ${id} needs at least one currency`);
+    }
+
+    const currencies = {};
+    for (const [currency, limits = {}] of Object.entries(CURRENCIES)) {
+      if (!money.isSupported(currency)) {
+        throw new Error(`Operator ${id} uses currency ${currency}, which is not in CURRENCIES`);
+      }
+      // Everyone in a round shares its liability, so one operator cannot set it
+      if (limits.MAX_ROUND_LIABILITY !== undefined) {
+        throw new Error(`Operator ${id}: MAX_ROUND_LIABILITY is set per currency and table, not per operator`);
+      }
+      try {
+        money.getLimits(currency, limits);
+      } catch (error) {
+        throw new Error(`Operator ${id}: ${error.message}`);
+      }
+      currencies[currency] = { ...limits };
+    }
+
+    let oddsProfile = null;
+    if (ODDS_PROFILE) {
+      oddsProfile = oddsProfiles.getProfile(ODDS_PROFILE).id;
+      if (!tableService.getTables().some(table => table.oddsProfile.id === oddsProfile)) {
+        throw new Error(`Operator ${id} uses odds profile ${oddsProfile} but no table runs it`);
+      }
+    }
+
+    const theme = { brandName: THEME.BRAND_NAME || NAME || id };
+    for (const [field, key] of Object.entries(THEME_COLORS)) {
+      if (THEME[field] === undefined) continue;
+      if (!COLOR_PATTERN.test(THEME[field])) {
+        throw new Error(`Operator ${id}: THEME.${field} must be a #rrggbb color`);
+      }
+      theme[key] = THEME[field];
+    }
+
+    return {
+      id,
+      name: NAME || id,
+      secret: SECRET,
+      callbackUrls,
+      transactionsUrl,
+      currencies,
+      oddsProfile,
+      theme
+    };
+  }
+
+  /**
+   * Get an operator by ID
+   */
+  getOperator(operatorId) {
+    return this.operators.get(operatorId) || null;
+  }
+
+  /**
+   * Get an operator by ID, throwing UNKNOWN_OPERATOR if it is not registered
+   */
+  requireOperator(operatorId) {
+    const operator = this.getOperator(operatorId);
+    if (!operator) {
+      fail('UNKNOWN_OPERATOR', { operatorId });
+    }
+    return operator;
+  }
+
+  /**
+   * Check a session's callback URL and currency against the operator's registry entry
+   * Returns the normalized callback base URL
+   */
+  validateSessionTarget(operator, { callbackBaseUrl, currency }) {
+    const url = normalizeCallbackUrl(callbackBaseUrl);
+    if (!url || !operator.callbackUrls.includes(url)) {
+      fail('CALLBACK_URL_NOT_ALLOWED', { operatorId: operator.id });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(operator.currencies, currency)) {
+      fail('CURRENCY_NOT_SUPPORTED', { currency, operatorId: operator.id });
+    }
+
+    return url;
+  }
+
+  /**
+   * Tables the operator's players may join (those running its odds profile, if it has one)
+   */
+  getTables(operator) {
+    return tableService.getTables()
+      .filter(table => !operator.oddsProfile || table.oddsProfile.id === operator.oddsProfile);
+  }
+
+  /**
+   * Resolve the table for a new session
+   * Without a tableId this is the default table, or the operator's first table if the default
+   * runs another odds profile. Throws TABLE_NOT_AVAILABLE for a table the operator cannot use.
+   */
+  resolveTable(operator, tableId) {
+    const tables = this.getTables(operator);
+
+    if (tableId === undefined) {
+      return tables.find(table => table.id === config.DEFAULT_TABLE_ID) || tables[0];
+    }
+
+    const table = tableService.requireTable(tableId);
+    if (!tables.includes(table)) {
+      fail('TABLE_NOT_AVAILABLE', { tableId: table.id, operatorId: operator.id });
+    }
+    return table;
+  }
+
+  /**
+   * Bet limits at a table for an operator's currency, in minor units
+   * (the operator's limits can only narrow the currency's and the table's)
+   */
+  getBetLimits(operator, currency, table) {
+    return table.getLimits(currency, operator.currencies[currency]);
+  }
+
+  /**
+   * Public description of a table with the operator's limits for each of its currencies
+   */
+  getTableInfo(operator, table) {
+    const limits = {};
+    for (const currency of Object.keys(operator.currencies)) {
+      limits[currency] = money.formatLimits(this.getBetLimits(operator, currency, table), currency);
+    }
+    return { ...table.getInfo([]), limits };
+  }
+
+  /**
+   * Theme sent to the operator's iframes: brandName plus any configured colors
+   */
+  getTheme(operator) {
+    return { ...operator.theme };
+  }
+}
+
+// Singleton
+const operatorService = new OperatorService();
+
+module.exports = operatorService;
@@ -0,0 +1,160 @@
+const config = require('../config');
+const { fail } = require('../util/errors');
+
+/**
+ * Platform Health Service
+ * Circuit breaker and latency tracking per platform callback endpoint (callbackBaseUrl)
+ *
+ * CLOSED: requests go through. BREAKER.FAILURE_THRESHOLD consecutive transport
+ * failures (timeouts, network errors, 5xx, 408 and 429 statuses) trip the breaker;
+ * any other 4xx is an answer and counts as a success.
+ * OPEN: requests fail at once with PLATFORM_UNAVAILABLE, so a platform that is
+ * down no longer holds bets for TIMEOUT_MS x RETRY_ATTEMPTS.
+ * HALF_OPEN: after BREAKER.OPEN_MS one request is let through as a probe; its
+ * success closes the breaker, its failure opens it again.
+ *
+ * Answers the platform sends (including rejections) count as successes: the endpoint is up.
+ */
+
+const STATES = { CLOSED: 'CLOSED', OPEN: 'OPEN', HALF_OPEN: 'HALF_OPEN' };
+
+/**
+ * Nearest-rank percentile of sorted values (null without samples)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+class PlatformHealthService {
+  constructor() {
+    // Map of callbackBaseUrl -> endpoint state
+    this.endpoints = new Map();
+  }
+
+  getEndpoint(callbackBaseUrl) {
+    if (!this.endpoints.has(callbackBaseUrl)) {
+      this.endpoints.set(callbackBaseUrl, {
+        state: STATES.CLOSED,
+        consecutiveFailures: 0,
+        openedAt: null,
+        probeInFlight: false,
+        requests: 0,
+        failures: 0,
+        rejectedFast: 0,
+        lastFailure: null,
+        latencies: [] // Most recent BREAKER.LATENCY_SAMPLES request durations (ms)
+      });
+    }
+    return this.endpoints.get(callbackBaseUrl);
+  }
+
+  /**
+   * Let a request to the endpoint through, or throw PLATFORM_UNAVAILABLE while its breaker is open
+   * Call recordSuccess() or recordFailure() once the request is done
+   */
+  beforeRequest(callbackBaseUrl) {
+    const endpoint = this.getEndpoint(callbackBaseUrl);
+    const { OPEN_MS } = config.CALLBACK.BREAKER;
+
+    if (endpoint.state === STATES.OPEN && Date.now() - endpoint.openedAt >= OPEN_MS) {
+      endpoint.state = STATES.HALF_OPEN;
+      console.log(`[PlatformHealth] ${callbackBaseUrl} half-open, probing`);
+    }
+
+    if (endpoint.state === STATES.HALF_OPEN && !endpoint.probeInFlight) {
+      endpoint.probeInFlight = true;
+      return;
+    }
+
+    if (endpoint.state !== STATES.CLOSED) {
+      endpoint.rejectedFast++;
+      const retryAfterMs = endpoint.state === STATES.OPEN ? Math.max(0, endpoint.openedAt + OPEN_MS - Date.now()) : 0;
+      fail('PLATFORM_UNAVAILABLE', { retryAfterMs });
+    }
+  }
+
+  /**
+   * Record a request the platform answered
+   */
+  recordSuccess(callbackBaseUrl, latencyMs) {
+    const endpoint = this.getEndpoint(callbackBaseUrl);
+    this.recordLatency(endpoint, latencyMs);
+
+    if (endpoint.state !== STATES.CLOSED) {
+      console.log(`[PlatformHealth] ${callbackBaseUrl} recovered, breaker closed`);
+    }
+
+    endpoint.state = STATES.CLOSED;
+    endpoint.consecutiveFailures = 0;
+    endpoint.openedAt = null;
+    endpoint.probeInFlight = false;
+  }
+
+  /**
+   * Record a request that timed out or failed in transport
+   */
+  recordFailure(callbackBaseUrl, latencyMs, reason) {
+    const endpoint = this.getEndpoint(callbackBaseUrl);
+    this.recordLatency(endpoint, latencyMs);
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastFailure = { reason, at: Date.now() };
+
+    const wasProbe = endpoint.probeInFlight;
+    endpoint.probeInFlight = false;
+
+    if (wasProbe || (endpoint.state === STATES.CLOSED && endpoint.consecutiveFailures >= config.CALLBACK.BREAKER.FAILURE_THRESHOLD)) {
+      endpoint.state = STATES.OPEN;
+      endpoint.openedAt = Date.now();
+      console.error(`[PlatformHealth] ${callbackBaseUrl} breaker open after ${endpoint.consecutiveFailures} consecutive failures (${reason})`);
+    }
+  }
+
+  recordLatency(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.latencies.push(latencyMs);
+    if (endpoint.latencies.length > config.CALLBACK.BREAKER.LATENCY_SAMPLES) {
+      endpoint.latencies.shift();
+    }
+  }
+
+  /**
+   * Breaker state, counters and latency percentiles (ms) of every endpoint called so far
+   */
+  getHealth() {
+    return Array.from(this.endpoints, ([callbackBaseUrl, endpoint]) => {
+      const sorted = [...endpoint.latencies].sort((a, b) => a - b);
+
+      return {
+        callbackBaseUrl,
+        state: endpoint.state,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        openedAt: endpoint.openedAt,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        rejectedFast: endpoint.rejectedFast,
+        lastFailure: endpoint.lastFailure,
+        latency: {
+          samples: sorted.length,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99),
+          max: sorted.length ? sorted[sorted.length - 1] : null
+        }
+      };
+    });
+  }
+
+  /**
+   * Whether every endpoint's breaker is closed
+   */
+  isHealthy() {
+    return Array.from(this.endpoints.values()).every(endpoint => endpoint.state === STATES.CLOSED);
+  }
+}
+
+// Singleton
+const platformHealthService = new PlatformHealthService();
+
+module.exports = platformHealthService;
@@ -0,0 +1,309 @@
+const config = require('../config');
+const storage = require('../storage');
+const money = require('../util/money');
+const { hmacSha256 } = require('../util/hmac');
+const operatorService = require('./operatorService');
+const ledgerService = require('./ledgerService');
+const { GameError, fail } = require('../util/errors');
+
+/**
+ * Reconciliation Service
+ * Compares the provider's ledger with a platform's transaction export, per round
+ *
+ * The export is a JSON array of the platform's transactions, as served by the mock
+ * platform's /api/transactions. Bet, win and rollback records are matched with ledger
+ * legs by requestId and must carry { id, type, requestId, roundId, playerId, amount,
+ * currency, timestamp }; other types (deposits, ...) are ignored. The amount's sign is
+ * ignored too: the type says which way the money moved.
+ *
+ * Issues:
+ * - MISSING_ON_PLATFORM: the ledger says the platform applied the leg, the export has no record of it
+ * - MISSING_IN_LEDGER: the export has a record the ledger does not know
+ * - STATUS_MISMATCH: the export has a record of a leg the ledger has as pending, unresolved,
+ *   not applied or resolved by an operator
+ * - AMOUNT_MISMATCH: the record's amount or currency differs from the leg's
+ * - TRANSACTION_ID_MISMATCH: the record's ID is not the transaction ID the platform answered with
+ * - DUPLICATE_ON_PLATFORM: the export has more than one record for the requestId
+ *
+ * Each round with issues is reported with its net amount per currency on both sides
+ * (credits minus debits) and their difference. The latest report per operator is kept.
+ */
+
+const MONEY_TYPES = ['BET', 'WIN', 'ROLLBACK'];
+
+/**
+ * Read an export amount as minor units, ignoring its sign (null if unreadable)
+ */
+function readAmount(value, currency) {
+  try {
+    return money.toMinor(String(value).replace(/^-/, ''), currency);
+  } catch (error) {
+    return null;
+  }
+}
+
+class ReconciliationService {
+  constructor() {
+    // Map of operatorId -> latest report
+    this.reports = storage.collection('reconciliations');
+    this.timer = null;
+  }
+
+  /**
+   * Reconcile every operator with a TRANSACTIONS_URL every RECONCILIATION.INTERVAL_MS
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.runAll().catch(error => {
+        console.error('[ReconciliationService] Reconciliation pass failed:', error.message);
+      });
+    }, config.RECONCILIATION.INTERVAL_MS);
+  }
+
+  /**
+   * Stop reconciling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runAll() {
+    for (const operator of operatorService.operators.values()) {
+      if (!operator.transactionsUrl) continue;
+      try {
+        await this.run(operator.id);
+      } catch (error) {
+        console.error(`[ReconciliationService] Could not reconcile operator ${operator.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Reconcile an operator's ledger legs opened between from and to (ms)
+   * Without from / to this is the last RECONCILIATION.WINDOW_MS, up to SETTLE_MS ago.
+   * Without transactions the operator's export is read from its TRANSACTIONS_URL.
+   */
+  async run(operatorId, { from, to, transactions } = {}) {
+    const operator = operatorService.requireOperator(operatorId);
+    const { WINDOW_MS, SETTLE_MS } = config.RECONCILIATION;
+
+    to = to === undefined ? Date.now() - SETTLE_MS : to;
+    from = from === undefined ? to - WINDOW_MS : from;
+
+    if (transactions === undefined) {
+      transactions = await this.fetchExport(operator, from);
+    } else if (!Array.isArray(transactions)) {
+      fail('INVALID_REQUEST', { fields: ['transactions'] });
+    }
+
+    const report = this.reconcile(operator.id, transactions, { from, to });
+    this.reports.set(operator.id, report);
+
+    const { summary } = report;
+    const log = summary.issues ? console.error : console.log;
+    log(`[ReconciliationService] Operator ${operator.id}: ${summary.legs} legs, ${summary.platformRecords} platform records, ` +
+      `${summary.issues} issues in ${summary.roundsWithIssues} rounds`);
+
+    return report;
+  }
+
+  /**
+   * Read the operator's transaction export from its TRANSACTIONS_URL
+   * X-Provider-Signature is the HMAC of the raw query string with the operator's secret,
+   * so the platform checks exactly the parameters it reads
+   */
+  async fetchExport(operator, since) {
+    if (!operator.transactionsUrl) {
+      fail('INVALID_REQUEST', { fields: ['transactions'] });
+    }
+
+    const query = new URLSearchParams({ since, limit: config.RECONCILIATION.EXPORT_LIMIT, timestamp: Date.now() }).toString();
+    let body;
+    try {
+      const response = await fetch(`${operator.transactionsUrl}?${query}`, {
+        headers: { 'X-Provider-Signature': hmacSha256(operator.secret, query) },
+        signal: AbortSignal.timeout(config.RECONCILIATION.TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        fail('PLATFORM_ERROR', { reason: `HTTP ${response.status}` });
+      }
+      body = await response.json();
+    } catch (error) {
+      if (error instanceof GameError) throw error;
+      if (error.name === 'TimeoutError') fail('PLATFORM_TIMEOUT');
+      if (error instanceof SyntaxError) fail('PLATFORM_INVALID_RESPONSE');
+      fail('PLATFORM_ERROR', { reason: error.cause ? error.cause.code || error.cause.message : error.message });
+    }
+
+    if (!Array.isArray(body)) {
+      fail('PLATFORM_INVALID_RESPONSE');
+    }
+    if (body.length >= config.RECONCILIATION.EXPORT_LIMIT) {
+      console.warn(`[ReconciliationService] Export of operator ${operator.id} hit EXPORT_LIMIT, older records may be missing`);
+    }
+    return body;
+  }
+
+  /**
+   * Compare ledger legs with export records
+   * Legs opened in [from, to] and records timestamped in it are checked, along with
+   * their counterparts on the other side wherever those fall.
+   */
+  reconcile(operatorId, transactions, { from, to }) {
+    const legs = new Map(ledgerService.list({ operatorId, from, to }).map(leg => [leg.requestId, leg]));
+
+    const records = new Map(); // requestId -> export records
+    const unmatched = []; // Records the ledger does not know
+    for (const record of transactions) {
+      if (!record || !MONEY_TYPES.includes(String(record.type).toUpperCase())) continue;
+
+      const inWindow = typeof record.timestamp !== 'number' || (record.timestamp >= from && record.timestamp <= to);
+      if (!inWindow && !legs.has(record.requestId)) continue;
+
+      const leg = legs.get(record.requestId) || ledgerService.getLeg(record.requestId);
+      if (!leg || leg.operatorId !== operatorId) {
+        unmatched.push(record);
+        continue;
+      }
+
+      legs.set(leg.requestId, leg);
+      if (!records.has(leg.requestId)) records.set(leg.requestId, []);
+      records.get(leg.requestId).push(record);
+    }
+
+    const rounds = new Map(); // roundId -> { roundId, issues, totals }
+    const getRound = roundId => {
+      if (!rounds.has(roundId)) rounds.set(roundId, { roundId, issues: [], totals: new Map() });
+      return rounds.get(roundId);
+    };
+    const addTotal = (round, currency, side, amount) => {
+      if (!round.totals.has(currency)) round.totals.set(currency, { provider: 0, platform: 0 });
+      round.totals.get(currency)[side] += amount;
+    };
+    const addPlatformTotal = (round, record) => {
+      const amount = readAmount(record.amount, record.currency);
+      if (amount === null) return;
+      addTotal(round, record.currency, 'platform', String(record.type).toUpperCase() === 'BET' ? -amount : amount);
+    };
+    const describeLeg = leg => ({
+      status: leg.status,
+      transactionId: leg.transactionId,
+      amount: money.toDecimal(leg.amount, leg.currency),
+      currency: leg.currency
+    });
+    const describeRecord = record => ({
+      transactionId: record.id,
+      amount: record.amount,
+      currency: record.currency,
+      timestamp: record.timestamp
+    });
+
+    let pending = 0;
+    for (const leg of legs.values()) {
+      const round = getRound(leg.roundId);
+      const [record, ...duplicates] = records.get(leg.requestId) || [];
+      const issue = (kind, platformRecord = record) => round.issues.push({
+        kind,
+        requestId: leg.requestId,
+        type: leg.type,
+        playerId: leg.playerId,
+        provider: describeLeg(leg),
+        platform: platformRecord ? describeRecord(platformRecord) : null
+      });
+
+      if (leg.status === 'APPLIED') {
+        addTotal(round, leg.currency, 'provider', ledgerService.getSignedAmount(leg));
+      }
+      if (leg.status === 'PENDING' || leg.status === 'UNRESOLVED') pending++;
+
+      if (!record) {
+        if (leg.status === 'APPLIED') issue('MISSING_ON_PLATFORM');
+        continue;
+      }
+
+      addPlatformTotal(round, record);
+      if (leg.status !== 'APPLIED') {
+        issue('STATUS_MISMATCH');
+      } else {
+        if (record.currency !== leg.currency || readAmount(record.amount, leg.currency) !== leg.amount) {
+          issue('AMOUNT_MISMATCH');
+        }
+        if (leg.transactionId && record.id !== leg.transactionId) {
+          issue('TRANSACTION_ID_MISMATCH');
+        }
+      }
+
+      for (const duplicate of duplicates) {
+        addPlatformTotal(round, duplicate);
+        issue('DUPLICATE_ON_PLATFORM', duplicate);
+      }
+    }
+
+    for (const record of unmatched) {
+      const round = getRound(record.roundId || null);
+      addPlatformTotal(round, record);
+      round.issues.push({
+        kind: 'MISSING_IN_LEDGER',
+        requestId: record.requestId || null,
+        type: String(record.type).toUpperCase(),
+        playerId: record.playerId,
+        provider: null,
+        platform: describeRecord(record)
+      });
+    }
+
+    const withIssues = Array.from(rounds.values())
+      .filter(round => round.issues.length)
+      .map(round => ({
+        roundId: round.roundId,
+        issues: round.issues,
+        totals: this.formatTotals(round.totals)
+      }));
+
+    return {
+      operatorId,
+      from,
+      to,
+      runAt: Date.now(),
+      summary: {
+        legs: legs.size,
+        platformRecords: unmatched.length + Array.from(records.values()).reduce((sum, list) => sum + list.length, 0),
+        pending,
+        rounds: rounds.size,
+        roundsWithIssues: withIssues.length,
+        issues: withIssues.reduce((sum, round) => sum + round.issues.length, 0)
+      },
+      rounds: withIssues
+    };
+  }
+
+  /**
+   * A round's net amounts as decimal strings, per currency
+   * Currencies the provider does not support cannot be formatted and are left out
+   */
+  formatTotals(totals) {
+    const result = {};
+    for (const [currency, { provider, platform }] of totals) {
+      if (!money.isSupported(currency)) continue;
+      result[currency] = {
+        provider: money.toDecimal(provider, currency),
+        platform: money.toDecimal(platform, currency),
+        difference: money.toDecimal(platform - provider, currency)
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Latest report of every operator reconciled so far
+   */
+  getReports() {
+    return Array.from(this.reports.values());
+  }
+}
+
+// Singleton
+const reconciliationService = new ReconciliationService();
+
+module.exports = reconciliationService;
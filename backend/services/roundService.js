@@ -1,14 +1,24 @@
-const flipEngine = require('../engine/flipEngine');
-const betService = require('./betService');
 const config = require('../config');
+const money = require('../util/money');
 
 /**
  * Round Service
  * Manages round lifecycle: betting -> revealing -> finished -> next round
+ *
+ * Each table runs its own RoundService loop, with the table's timings,
+ * broadcasting only to sockets in the table's room.
+ *
+ * Every phase change is written to the table's round journal. On startup,
+ * rounds left in the journal are settled with their committed result, or
+ * refunded with ROUND_ABORTED when their result did not exist yet.
  */
 
 class RoundService {
-  constructor() {
+  constructor(table) {
+    this.table = table;
+    this.flipEngine = table.flipEngine;
+    this.journal = table.journal;
+    this.settings = table.settings;
     this.isRunning = false;
     this.gameNamespace = null;
     this.controlsNamespace = null;
@@ -23,24 +33,27 @@ class RoundService {
   }
 
   /**
-   * Initialize and start the game loop
+   * Initialize, recover interrupted rounds and start the game loop
    */
-  start() {
+  async start() {
     if (this.isRunning) {
-      console.log('[RoundService] Already running');
+      console.log(`[RoundService] Table ${this.table.id} already running`);
       return;
     }
 
-    flipEngine.initialize();
+    this.flipEngine.initialize();
     this.isRunning = true;
 
     // Set up flip engine event listeners
     this.setupEngineListeners();
 
+    // Settle or refund rounds a crash left behind before the seed chain moves on
+    await this.recoverRounds();
+
     // Start first round
     this.startNewRound();
 
-    console.log('[RoundService] Started');
+    console.log(`[RoundService] Table ${this.table.id} started`);
   }
 
   /**
@@ -48,36 +61,36 @@ class RoundService {
    */
   stop() {
     this.isRunning = false;
-    console.log('[RoundService] Stopped');
+    console.log(`[RoundService] Table ${this.table.id} stopped`);
   }
 
   /**
    * Setup flip engine event listeners
    */
   setupEngineListeners() {
-    flipEngine.on('betting_phase', (data) => {
+    this.flipEngine.on('betting_phase', (data) => {
       this.broadcast('betting_phase', data);
     });
 
-    flipEngine.on('round_reveal', (data) => {
+    this.flipEngine.on('round_reveal', (data) => {
       this.broadcast('round_reveal', data);
     });
 
-    flipEngine.on('round_finished', (data) => {
+    this.flipEngine.on('round_finished', (data) => {
       // Broadcast round finished event
       this.broadcast('round_finished', data);
     });
   }
 
   /**
-   * Broadcast to both namespaces
+   * Broadcast to the table's room in both namespaces
    */
   broadcast(event, data) {
     if (this.gameNamespace) {
-      this.gameNamespace.emit(event, data);
+      this.gameNamespace.to(this.table.room).emit(event, data);
     }
     if (this.controlsNamespace) {
-      this.controlsNamespace.emit(event, data);
+      this.controlsNamespace.to(this.table.room).emit(event, data);
     }
   }
 
@@ -87,16 +100,25 @@ class RoundService {
   async startNewRound() {
     if (!this.isRunning) return;
 
-    // Generate new round
-    flipEngine.generateRound();
+    // Generate new round (fails if the hash chain is exhausted and no new chain is stored)
+    try {
+      this.flipEngine.generateRound();
+    } catch (error) {
+      console.error(`[RoundService] Table ${this.table.id} cannot start round:`, error.message);
+      setTimeout(() => {
+        this.startNewRound();
+      }, config.SEEDS.EXHAUSTED_RETRY_MS);
+      return;
+    }
 
     // Start betting phase
-    flipEngine.startBettingPhase();
+    const round = this.flipEngine.startBettingPhase();
+    this.journal.recordRound(round);
 
     // Wait for betting phase to complete
     setTimeout(() => {
       this.revealRound();
-    }, config.GAME.BETTING_PHASE_MS);
+    }, this.settings.BETTING_PHASE_MS);
   }
 
   /**
@@ -105,19 +127,19 @@ class RoundService {
   revealRound() {
     if (!this.isRunning) return;
 
-    const round = flipEngine.getCurrentRound();
+    const round = this.flipEngine.getCurrentRound();
     if (!round || round.status !== 'betting') {
-      console.error('[RoundService] Cannot reveal round - invalid state');
+      console.error(`[RoundService] Table ${this.table.id} cannot reveal round - invalid state`);
       return;
     }
 
-    // Start the reveal
-    flipEngine.startReveal();
+    // Start the reveal (the result is journaled before anyone sees it)
+    this.journal.recordRound(this.flipEngine.startReveal());
 
     // Wait for reveal phase, then finish
     setTimeout(() => {
       this.finishRound();
-    }, config.GAME.RESULT_REVEAL_MS);
+    }, this.settings.RESULT_REVEAL_MS);
   }
 
   /**
@@ -126,52 +148,61 @@ class RoundService {
   async finishRound() {
     if (!this.isRunning) return;
 
-    const result = flipEngine.finishRound();
+    const result = this.flipEngine.finishRound();
     if (!result) return;
 
     const { round, winners, losers, verification } = result;
+    this.journal.recordRound(round);
 
     console.log(`[RoundService] Round ${round.id} finished. Result: ${round.result}`);
 
-    // Process winners and losers
-    const processResults = await betService.processRoundResults(round.id, winners, losers);
+    // Process winners and losers (unconfirmed wins move to the settlement outbox)
+    const processResults = await require('./betService').processRoundResults(round.id, winners, losers);
+    this.journal.completeRound(round.id);
 
     // Send results to controls namespace
     if (this.controlsNamespace) {
-      // Notify each player individually
-      for (const winner of winners) {
-        const session = require('./sessionService').getSessionByPlayerId(winner.playerId);
-        if (session && session.controlsSocketId) {
-          // Find the processed result to get the new balance
-          const processedResult = processResults.find(r => r.playerId === winner.playerId);
-          
-          this.controlsNamespace.to(session.controlsSocketId).emit('bet_won', {
-            roundId: round.id,
-            result: round.result,
-            betAmount: winner.betAmount,
-            winAmount: winner.winAmount,
-            choice: winner.choice,
-            newBalance: processedResult && processedResult.success ? processedResult.newBalance : null
-          });
-
-          // Send balance update if we have the new balance
-          if (processedResult && processedResult.success && processedResult.newBalance !== undefined) {
-            this.controlsNamespace.to(session.controlsSocketId).emit('balance_update', {
-              balance: processedResult.newBalance,
-              currency: session.currency
-            });
-          }
+      const sessionService = require('./sessionService');
+
+      // Notify each player once, with all of their bets in the round
+      for (const [playerKey, settlement] of this.groupByPlayer(winners, losers)) {
+        const session = sessionService.getSessionByPlayerKey(playerKey);
+        if (!session || !session.controlsSocketId) continue;
+
+        const socket = this.controlsNamespace.to(session.controlsSocketId);
+        const { winAmount, ...amounts } = this.formatSettlement(settlement);
+        const summary = {
+          roundId: round.id,
+          result: round.result,
+          ...amounts,
+          clientSeed: settlement.clientSeed,
+          nonce: round.nonce
+        };
+
+        if (settlement.winAmount === 0) {
+          socket.emit('bet_lost', summary);
+          continue;
         }
-      }
 
-      for (const loser of losers) {
-        const session = require('./sessionService').getSessionByPlayerId(loser.playerId);
-        if (session && session.controlsSocketId) {
-          this.controlsNamespace.to(session.controlsSocketId).emit('bet_lost', {
-            roundId: round.id,
-            result: round.result,
-            betAmount: loser.betAmount,
-            choice: loser.choice
+        // Each winning bet is credited separately; the last success carries the latest balance
+        const credited = processResults.filter(r => r.playerId === playerKey && r.success);
+        const newBalance = credited.length ? credited[credited.length - 1].newBalance : null;
+
+        const balance = newBalance !== null && newBalance !== undefined
+          ? money.toDecimal(newBalance, settlement.currency)
+          : null;
+
+        socket.emit('bet_won', {
+          ...summary,
+          winAmount,
+          newBalance: balance
+        });
+
+        // Send balance update if we have the new balance
+        if (balance !== null) {
+          socket.emit('balance_update', {
+            balance,
+            currency: settlement.currency
           });
         }
       }
@@ -180,34 +211,185 @@ class RoundService {
     // Wait before starting next round
     setTimeout(() => {
       this.startNewRound();
-    }, config.GAME.ROUND_DELAY_MS);
+    }, this.settings.ROUND_DELAY_MS);
+  }
+
+  /**
+   * Settle or refund every round left in the journal by the previous run
+   * A round that fails to recover stays in the journal for the next start
+   */
+  async recoverRounds() {
+    const records = this.journal.load();
+    if (!records.length) return;
+
+    console.log(`[RoundService] Table ${this.table.id} has ${records.length} unfinished round(s) to recover`);
+
+    for (const record of records) {
+      try {
+        if (record.result) {
+          await this.recoverSettledRound(record);
+        } else {
+          await this.recoverAbortedRound(record);
+        }
+        this.journal.completeRound(record.id);
+      } catch (error) {
+        console.error(`[RoundService] CRITICAL: Could not recover round ${record.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Settle an interrupted round whose result was already fixed
+   * Win request IDs are deterministic, so wins credited before the crash are not paid twice
+   */
+  async recoverSettledRound(record) {
+    const betService = require('./betService');
+
+    for (const bet of record.bets) {
+      betService.restoreActiveBet(record.id, bet);
+    }
+
+    const { round, winners, losers } = this.flipEngine.recoverRound(record);
+    const processResults = await betService.processRoundResults(round.id, winners, losers);
+
+    for (const [playerKey, settlement] of this.groupByPlayer(winners, losers)) {
+      this.journal.addNotice(playerKey, {
+        roundId: round.id,
+        tableId: this.table.id,
+        outcome: 'SETTLED',
+        result: round.result,
+        ...this.formatSettlement(settlement),
+        pending: processResults.some(r => r.playerId === playerKey && !r.success),
+        recoveredAt: Date.now()
+      });
+    }
+
+    console.log(`[RoundService] Recovered round ${round.id}: settled ${record.bets.length} bets with result ${round.result}`);
+  }
+
+  /**
+   * Refund every bet of an interrupted round that had no result yet
+   * Its server seed was never revealed, so the next round can still use it
+   */
+  async recoverAbortedRound(record) {
+    if (!record.bets.length) {
+      console.log(`[RoundService] Discarded interrupted round ${record.id} (no bets)`);
+      return;
+    }
+
+    const betService = require('./betService');
+    const players = new Map();
+
+    for (const bet of record.bets) {
+      const callbackResult = await betService.refund({
+        operatorId: bet.operatorId,
+        callbackBaseUrl: bet.callbackBaseUrl,
+        roundId: record.id,
+        playerId: bet.platformPlayerId,
+        sessionId: bet.sessionId,
+        amount: bet.amount,
+        currency: bet.currency,
+        originalTransactionId: bet.transactionId,
+        reason: 'ROUND_ABORTED',
+        betSequence: bet.sequence
+      });
+      betService.removeActiveBet(bet.id);
+
+      if (!players.has(bet.playerId)) {
+        players.set(bet.playerId, { currency: bet.currency, refundAmount: 0, pending: false, bets: [] });
+      }
+
+      const refund = players.get(bet.playerId);
+      refund.refundAmount += bet.amount;
+      refund.pending = refund.pending || !callbackResult.success;
+      refund.bets.push({ betId: bet.id, choice: bet.choice, amount: money.toDecimal(bet.amount, bet.currency) });
+    }
+
+    for (const [playerKey, refund] of players) {
+      const refundAmount = money.toDecimal(refund.refundAmount, refund.currency);
+      this.journal.addNotice(playerKey, {
+        roundId: record.id,
+        tableId: this.table.id,
+        outcome: 'ABORTED',
+        result: null,
+        currency: refund.currency,
+        betAmount: refundAmount,
+        refundAmount,
+        bets: refund.bets,
+        pending: refund.pending,
+        recoveredAt: Date.now()
+      });
+    }
+
+    console.log(`[RoundService] Recovered round ${record.id}: aborted, ${record.bets.length} bets refunded with ROUND_ABORTED`);
+  }
+
+  /**
+   * Group per-bet results by player
+   * Returns Map of player key -> { currency, clientSeed, betAmount, winAmount, bets: [{ betId, choice, amount, winAmount }] }
+   * Amounts are minor units (see formatSettlement)
+   */
+  groupByPlayer(winners, losers) {
+    const players = new Map();
+
+    for (const entry of [...winners, ...losers]) {
+      if (!players.has(entry.playerId)) {
+        // A player's bets in one round share their client seed
+        players.set(entry.playerId, { currency: entry.currency, clientSeed: entry.clientSeed, betAmount: 0, winAmount: 0, bets: [] });
+      }
+
+      const settlement = players.get(entry.playerId);
+      const winAmount = entry.winAmount || 0;
+
+      settlement.betAmount += entry.betAmount;
+      settlement.winAmount += winAmount;
+      settlement.bets.push({
+        betId: entry.betId,
+        choice: entry.choice,
+        amount: entry.betAmount,
+        winAmount
+      });
+    }
+
+    return players;
+  }
+
+  /**
+   * A player's settlement with its amounts as decimal strings, for events and notices
+   */
+  formatSettlement({ currency, betAmount, winAmount, bets }) {
+    const format = minor => money.toDecimal(minor, currency);
+
+    return {
+      currency,
+      betAmount: format(betAmount),
+      winAmount: format(winAmount),
+      bets: bets.map(bet => ({ ...bet, amount: format(bet.amount), winAmount: format(bet.winAmount) }))
+    };
   }
 
   /**
    * Get current round state
    */
   getCurrentRoundState() {
-    return flipEngine.getCurrentRound();
+    return this.flipEngine.getCurrentRound();
   }
 
   /**
-   * Get round history
+   * Get round history, newest first (see FlipEngine.getHistory for filters)
    */
-  getHistory(limit = 20) {
-    return flipEngine.getHistory(limit);
+  getHistory(limit = 20, filters) {
+    return this.flipEngine.getHistory(limit, filters);
   }
 
   /**
    * Check if in betting phase
    */
   isInBettingPhase() {
-    const round = flipEngine.getCurrentRound();
+    const round = this.flipEngine.getCurrentRound();
     return round && round.status === 'betting';
   }
 }
 
-// Singleton
-const roundService = new RoundService();
-
-module.exports = roundService;
+module.exports = RoundService;
 
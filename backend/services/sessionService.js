@@ -1,49 +1,94 @@
 const crypto = require('crypto');
 const config = require('../config');
-const { validateSignature } = require('../util/hmac');
+const { validateSignature, generateRandomHex } = require('../util/hmac');
+const tableService = require('./tableService');
+const operatorService = require('./operatorService');
+const storage = require('../storage');
+const { fail } = require('../util/errors');
+
+// Client seeds are echoed into HMAC messages and UIs, keep them short and printable
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
 /**
  * Session Service
  * Manages player sessions initiated by the platform
+ *
+ * Sessions are kept in storage, so they survive a restart with a persistent driver.
+ * Stored sessions are plain objects: save() a session after changing it.
  */
 
 class SessionService {
   constructor() {
-    // Map of sessionId -> session data
-    this.sessions = new Map();
+    // sessionId -> session data
+    this.sessions = storage.collection('sessions');
+
+    // playerKey -> sessionId (for quick lookup)
+    this.playerSessions = storage.collection('playerSessions');
+
+    // Platform tokens already used at /session/init, as operatorId:token -> { playerId, usedAt }
+    this.usedTokens = storage.collection('sessionTokens');
+
+    if (config.SESSION.ALLOW_UNSIGNED) {
+      console.warn('[SessionService] WARNING: ALLOW_UNSIGNED_SESSIONS is on, /session/init signatures are not checked');
+    }
 
-    // Map of playerId -> sessionId (for quick lookup)
-    this.playerSessions = new Map();
+    // A table or operator removed from the config since the session was stored takes it along
+    const stale = [];
+    for (const [sessionId, session] of this.sessions) {
+      if (!tableService.getTable(session.tableId) || !operatorService.getOperator(session.operatorId)) {
+        stale.push(sessionId);
+      }
+    }
+    stale.forEach(sessionId => this.destroySession(sessionId));
+
+    // Sockets of the previous process are gone
+    for (const session of this.sessions.values()) {
+      if (session.isConnected || session.gameSocketId || session.controlsSocketId) {
+        Object.assign(session, { isConnected: false, gameSocketId: null, controlsSocketId: null });
+        this.save(session);
+      }
+    }
 
     // Cleanup expired sessions periodically
-    setInterval(() => this.cleanupExpiredSessions(), 60000);
+    setInterval(() => this.cleanupExpiredSessions(), 60000).unref();
   }
 
   /**
    * Initialize a new session (called when platform sends POST /session/init)
+   * tableId defaults to the operator's default table
    */
-  createSession({ playerId, currency, token, timestamp, signature, callbackBaseUrl }) {
+  createSession({ operatorId, playerId, currency, token, timestamp, signature, callbackBaseUrl, tableId }) {
     // Validate required fields
-    if (!playerId || !currency || !token || !callbackBaseUrl) {
-      throw new Error('Missing required fields');
-    }
-
-    // Validate signature from platform (commented out for development)
-    // if (signature && timestamp) {
-    //   const isValid = validateSignature(
-    //     config.PROVIDER_SECRET,
-    //     playerId,
-    //     token,
-    //     timestamp,
-    //     signature
-    //   );
-    //   if (!isValid) {
-    //     throw new Error('Invalid signature');
-    //   }
-    // }
+    const required = { operatorId, playerId, currency, token, callbackBaseUrl };
+    const missing = Object.keys(required).filter(field => !required[field]);
+    if (missing.length) {
+      fail('INVALID_REQUEST', { fields: missing });
+    }
+
+    const operator = operatorService.requireOperator(operatorId);
+    const table = operatorService.resolveTable(operator, tableId);
+
+    // Validate signature from platform
+    const signed = !config.SESSION.ALLOW_UNSIGNED;
+    if (signed) {
+      this.verifyInitRequest(operator, { playerId, currency, token, timestamp, callbackBaseUrl, tableId }, signature);
+    } else {
+      console.warn(`[SessionService] Unsigned session init accepted for player ${playerId} (development mode)`);
+    }
+
+    // Callbacks may only go to the operator's registered URLs (checked even in development mode)
+    callbackBaseUrl = operatorService.validateSessionTarget(operator, { callbackBaseUrl, currency });
+
+    // Only a request that is otherwise accepted uses up its token
+    if (signed) {
+      this.useToken(operator, token, playerId);
+    }
+
+    // Player IDs are the operator's, so two operators can both have a player1
+    const playerKey = this.getPlayerKey(operator.id, playerId);
 
     // Check if player already has an active session
-    const existingSessionId = this.playerSessions.get(playerId);
+    const existingSessionId = this.playerSessions.get(playerKey);
     if (existingSessionId) {
       // Invalidate old session
       this.sessions.delete(existingSessionId);
@@ -55,30 +100,137 @@ class SessionService {
     // Create session
     const session = {
       sessionId,
+      operatorId: operator.id,
       playerId,
+      playerKey,
       currency,
       token,
       callbackBaseUrl,
+      tableId: table.id,
       createdAt: Date.now(),
       expiresAt: Date.now() + config.SESSION.EXPIRY_MS,
-      balance: 0, // Balance is managed by platform, we just cache it
+      balance: 0, // Balance is managed by platform, we just cache it (minor units)
+      seedPair: this.createSeedPair(table, generateRandomHex(16)),
       isConnected: false,
       gameSocketId: null,
       controlsSocketId: null
     };
 
     this.sessions.set(sessionId, session);
-    this.playerSessions.set(playerId, sessionId);
+    this.playerSessions.set(playerKey, sessionId);
 
-    console.log(`[SessionService] Created session ${sessionId} for player ${playerId}`);
+    console.log(`[SessionService] Created session ${sessionId} for player ${playerId} of ${operator.id} at table ${table.id}`);
 
     return {
       sessionId,
+      tableId: table.id,
       gameUrl: `/game-iframe?sessionId=${sessionId}`,
       controlsUrl: `/controls-iframe?sessionId=${sessionId}`
     };
   }
 
+  /**
+   * Key identifying a player across operators (used for bets, locks and lookups)
+   */
+  getPlayerKey(operatorId, playerId) {
+    return `${operatorId}:${playerId}`;
+  }
+
+  /**
+   * Check a /session/init signature (with the operator's secret), its timestamp and that its token is new
+   * Throws with code INVALID_SIGNATURE, SIGNATURE_EXPIRED or TOKEN_REUSED; useToken() marks the token used
+   */
+  verifyInitRequest(operator, fields, signature) {
+    if (!validateSignature(operator.secret, fields, signature)) {
+      fail('INVALID_SIGNATURE');
+    }
+
+    // Signed, so the timestamp is the platform's; a stale one is a replayed request
+    const timestamp = Number(fields.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > config.SESSION.SIGNATURE_MAX_SKEW_MS) {
+      fail('SIGNATURE_EXPIRED');
+    }
+
+    if (this.usedTokens.has(this.getTokenKey(operator, fields.token))) {
+      fail('TOKEN_REUSED');
+    }
+  }
+
+  /**
+   * Mark a /session/init token as used, so the request cannot be replayed
+   */
+  useToken(operator, token, playerId) {
+    this.usedTokens.set(this.getTokenKey(operator, token), { playerId, usedAt: Date.now() });
+  }
+
+  getTokenKey(operator, token) {
+    return `${operator.id}:${token}`;
+  }
+
+  /**
+   * Create a client seed pair starting at the table's next unplayed nonce
+   */
+  createSeedPair(table, clientSeed) {
+    return {
+      clientSeed,
+      serverCommitment: table.seedManager.getPublicData().terminalHash,
+      nonceStart: table.seedManager.getNonce(),
+      createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Get the player's active client seed pair
+   */
+  getSeedPair(sessionId) {
+    const session = this.validateSession(sessionId);
+    return { ...session.seedPair };
+  }
+
+  /**
+   * Set or rotate the player's client seed (through betService.setClientSeed(), which holds the player lock)
+   * Returns the new pair and reveals the previous one with the nonce range it covered
+   */
+  setClientSeed(sessionId, clientSeed) {
+    const session = this.validateSession(sessionId);
+    const table = tableService.requireTable(session.tableId);
+
+    if (clientSeed === undefined || clientSeed === null || clientSeed === '') {
+      clientSeed = generateRandomHex(16);
+    }
+
+    if (typeof clientSeed !== 'string' || !CLIENT_SEED_PATTERN.test(clientSeed)) {
+      fail('INVALID_CLIENT_SEED');
+    }
+
+    // The bet already carries the old seed, rotating now would split the pair across a round
+    if (table.flipEngine.getPlayerBets(session.playerKey).length > 0) {
+      fail('CLIENT_SEED_LOCKED');
+    }
+
+    const previous = {
+      ...session.seedPair,
+      nonceEnd: table.seedManager.getNonce() - 1
+    };
+
+    session.seedPair = this.createSeedPair(table, clientSeed);
+    this.save(session);
+
+    console.log(`[SessionService] Player ${session.playerId} rotated client seed (previous nonces ${previous.nonceStart}-${previous.nonceEnd})`);
+
+    return {
+      current: { ...session.seedPair },
+      previous
+    };
+  }
+
+  /**
+   * Write a changed session back to storage
+   */
+  save(session) {
+    this.sessions.set(session.sessionId, session);
+  }
+
   /**
    * Get session by ID
    */
@@ -99,10 +251,10 @@ class SessionService {
   }
 
   /**
-   * Get session by player ID
+   * Get session by player key (see getPlayerKey)
    */
-  getSessionByPlayerId(playerId) {
-    const sessionId = this.playerSessions.get(playerId);
+  getSessionByPlayerKey(playerKey) {
+    const sessionId = this.playerSessions.get(playerKey);
     if (!sessionId) return null;
     return this.getSession(sessionId);
   }
@@ -113,7 +265,7 @@ class SessionService {
   validateSession(sessionId) {
     const session = this.getSession(sessionId);
     if (!session) {
-      throw new Error('Invalid or expired session');
+      fail('INVALID_SESSION');
     }
     return session;
   }
@@ -126,6 +278,7 @@ class SessionService {
     if (session) {
       session.gameSocketId = socketId;
       session.isConnected = true;
+      this.save(session);
     }
   }
 
@@ -137,6 +290,7 @@ class SessionService {
     if (session) {
       session.controlsSocketId = socketId;
       session.isConnected = true;
+      this.save(session);
     }
   }
 
@@ -156,6 +310,8 @@ class SessionService {
       if (!session.gameSocketId && !session.controlsSocketId) {
         session.isConnected = false;
       }
+
+      this.save(session);
     }
   }
 
@@ -166,6 +322,7 @@ class SessionService {
     const session = this.sessions.get(sessionId);
     if (session) {
       session.balance = balance;
+      this.save(session);
     }
   }
 
@@ -183,7 +340,7 @@ class SessionService {
   destroySession(sessionId) {
     const session = this.sessions.get(sessionId);
     if (session) {
-      this.playerSessions.delete(session.playerId);
+      this.playerSessions.delete(session.playerKey);
       this.sessions.delete(sessionId);
       console.log(`[SessionService] Destroyed session ${sessionId}`);
     }
@@ -231,6 +388,13 @@ class SessionService {
     if (expired.length > 0) {
       console.log(`[SessionService] Cleaned up ${expired.length} expired sessions`);
     }
+
+    // A token older than two skew windows can only come with a timestamp that is rejected anyway
+    for (const [token, use] of this.usedTokens) {
+      if (now - use.usedAt > 2 * config.SESSION.SIGNATURE_MAX_SKEW_MS) {
+        this.usedTokens.delete(token);
+      }
+    }
   }
 
   /**
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const callbackService = require('./callbackService');
+const ledgerService = require('./ledgerService');
+const storage = require('../storage');
+const { readJson } = require('../util/fileStore');
+const config = require('../config');
+const { fail } = require('../util/errors');
+
+/**
+ * Settlement Service
+ * Durable outbox for win and rollback callbacks the platform did not confirm
+ *
+ * Items are kept in the settlements storage collection and retried with exponential
+ * backoff until they succeed or an operator resolves them, across restarts.
+ * Every retry sends the original requestId so the platform can deduplicate.
+ * An outbox file left by earlier versions (<DATA_DIR>/outbox.json) is imported on start.
+ *
+ * Item status: PENDING -> SETTLED (callback accepted) or RESOLVED (operator)
+ */
+
+const SENDERS = {
+  win: params => callbackService.creditWin(params),
+  rollback: params => callbackService.rollback(params)
+};
+
+class SettlementService {
+  constructor() {
+    this.legacyFilePath = path.join(config.SETTLEMENT.DATA_DIR, 'outbox.json');
+    this.items = storage.collection('settlements'); // id (original requestId) -> item
+    this.inFlight = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Load the outbox and start retrying due items
+   */
+  start() {
+    this.importLegacyOutbox();
+
+    const pending = this.list('PENDING').length;
+    console.log(`[SettlementService] Loaded ${this.items.size} settlements (${pending} pending)`);
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => {
+        console.error('[SettlementService] Retry pass failed:', error.message);
+      });
+    }, config.SETTLEMENT.POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop retrying
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Move items from an earlier version's outbox file into storage, then set the file aside
+   */
+  importLegacyOutbox() {
+    const items = readJson(this.legacyFilePath, null);
+    if (!items) return;
+
+    let imported = 0;
+    for (const item of items) {
+      if (this.items.has(item.id)) continue;
+      this.items.set(item.id, item);
+      imported++;
+    }
+    fs.renameSync(this.legacyFilePath, `${this.legacyFilePath}.imported`);
+
+    console.log(`[SettlementService] Imported ${imported} settlements from ${this.legacyFilePath}`);
+  }
+
+  /**
+   * Queue a callback that failed
+   * type: 'win' or 'rollback'; params are the callbackService arguments including the original requestId
+   */
+  enqueue(type, params, failure) {
+    if (!SENDERS[type]) {
+      throw new Error(`Unknown settlement type ${type}`);
+    }
+    if (!params.requestId) {
+      throw new Error('Settlements need the original requestId');
+    }
+
+    const now = Date.now();
+    const item = {
+      id: params.requestId,
+      type,
+      params,
+      status: 'PENDING',
+      attempts: 1, // The immediate attempt that failed
+      lastError: failure ? failure.message || failure.code : null,
+      nextAttemptAt: now + this.getBackoff(1),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.items.set(item.id, item);
+
+    console.error(`[SettlementService] Queued ${type} ${item.id} for player ${params.playerId}: ${item.lastError}`);
+
+    return item;
+  }
+
+  /**
+   * Delay before the next attempt, doubling per attempt up to MAX_DELAY_MS
+   */
+  getBackoff(attempts) {
+    const { BASE_DELAY_MS, MAX_DELAY_MS } = config.SETTLEMENT;
+    return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Retry every pending item whose backoff has elapsed
+   */
+  async processDue() {
+    const now = Date.now();
+    const due = Array.from(this.items.values())
+      .filter(item => item.status === 'PENDING' && item.nextAttemptAt <= now && !this.inFlight.has(item.id));
+
+    for (const item of due) {
+      // An operator retry may have started in the meantime
+      if (this.inFlight.has(item.id)) continue;
+      await this.attempt(item);
+    }
+  }
+
+  /**
+   * Send one item's callback again with its original requestId
+   */
+  async attempt(item) {
+    if (this.inFlight.has(item.id)) {
+      fail('SETTLEMENT_BUSY', { id: item.id });
+    }
+
+    this.inFlight.add(item.id);
+    try {
+      const result = await SENDERS[item.type](item.params);
+
+      item.attempts++;
+      item.updatedAt = Date.now();
+
+      if (result.success) {
+        item.status = 'SETTLED';
+        item.transactionId = result.transactionId;
+        item.lastError = null;
+        console.log(`[SettlementService] Settled ${item.type} ${item.id} after ${item.attempts} attempts`);
+      } else {
+        item.lastError = result.message || result.code;
+        item.nextAttemptAt = Date.now() + this.getBackoff(item.attempts);
+        console.error(`[SettlementService] Retry ${item.attempts} of ${item.id} failed: ${item.lastError}`);
+      }
+
+      this.items.set(item.id, item);
+      return item;
+    } finally {
+      this.inFlight.delete(item.id);
+    }
+  }
+
+  /**
+   * List settlements, newest first, optionally by status
+   */
+  list(status) {
+    return Array.from(this.items.values())
+      .filter(item => !status || item.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get a settlement, throwing SETTLEMENT_NOT_FOUND if it does not exist
+   */
+  getItem(id) {
+    const item = this.items.get(id);
+    if (!item) {
+      fail('SETTLEMENT_NOT_FOUND', { id });
+    }
+    return item;
+  }
+
+  /**
+   * Retry a pending item now (operator)
+   */
+  async retry(id) {
+    const item = this.getItem(id);
+    if (item.status !== 'PENDING') {
+      fail('SETTLEMENT_NOT_PENDING', { id, status: item.status });
+    }
+    return this.attempt(item);
+  }
+
+  /**
+   * Mark an item (and its ledger leg) as settled outside the provider, e.g. credited by hand (operator)
+   */
+  resolve(id, note) {
+    const item = this.getItem(id);
+    if (item.status !== 'PENDING') {
+      fail('SETTLEMENT_NOT_PENDING', { id, status: item.status });
+    }
+
+    item.status = 'RESOLVED';
+    item.resolutionNote = note || null;
+    item.updatedAt = Date.now();
+    this.items.set(item.id, item);
+    ledgerService.update(item.id, { status: 'RESOLVED', note: item.resolutionNote });
+
+    console.log(`[SettlementService] ${item.id} marked resolved${note ? `: ${note}` : ''}`);
+
+    return item;
+  }
+}
+
+// Singleton
+const settlementService = new SettlementService();
+
+module.exports = settlementService;
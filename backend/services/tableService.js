@@ -0,0 +1,108 @@
+const Table = require('../engine/table');
+const config = require('../config');
+const { fail } = require('../util/errors');
+
+/**
+ * Table Service
+ * Registry of the flip tables running in this process
+ */
+
+class TableService {
+  constructor() {
+    // Map of tableId -> Table
+    this.tables = new Map();
+
+    for (const tableConfig of config.TABLES) {
+      if (this.tables.has(tableConfig.ID)) {
+        throw new Error(`Duplicate table ID ${tableConfig.ID}`);
+      }
+      this.tables.set(tableConfig.ID, new Table(tableConfig));
+    }
+
+    if (!this.tables.has(config.DEFAULT_TABLE_ID)) {
+      throw new Error(`Default table ${config.DEFAULT_TABLE_ID} is not configured`);
+    }
+  }
+
+  /**
+   * Get a table by ID (defaults to the default table)
+   */
+  getTable(tableId = config.DEFAULT_TABLE_ID) {
+    return this.tables.get(tableId) || null;
+  }
+
+  /**
+   * Get a table by ID, throwing TABLE_NOT_FOUND if it does not exist
+   */
+  requireTable(tableId = config.DEFAULT_TABLE_ID) {
+    const table = this.getTable(tableId);
+    if (!table) {
+      fail('TABLE_NOT_FOUND', { tableId });
+    }
+    return table;
+  }
+
+  /**
+   * Get all tables
+   */
+  getTables() {
+    return Array.from(this.tables.values());
+  }
+
+  /**
+   * Find a finished round on any table
+   */
+  findRound(roundId) {
+    for (const table of this.tables.values()) {
+      const round = table.flipEngine.getRound(roundId);
+      if (round) return { table, round };
+    }
+    return null;
+  }
+
+  /**
+   * Get chain activations from every table, tagged with the table ID
+   */
+  getRotations() {
+    return this.getTables().flatMap(table =>
+      table.seedManager.getRotations().map(rotation => ({ tableId: table.id, ...rotation }))
+    );
+  }
+
+  /**
+   * Get and forget a player's round recovery notices from every table
+   */
+  takeRecoveryNotices(playerKey) {
+    return this.getTables().flatMap(table => table.journal.takeNotices(playerKey));
+  }
+
+  /**
+   * Set WebSocket namespaces for every table's broadcasts
+   */
+  setNamespaces(gameNamespace, controlsNamespace) {
+    for (const table of this.tables.values()) {
+      table.roundService.setNamespaces(gameNamespace, controlsNamespace);
+    }
+  }
+
+  /**
+   * Start every table's round loop (each recovers its own interrupted rounds first)
+   */
+  start() {
+    return Promise.all(this.getTables().map(table => table.roundService.start()));
+  }
+
+  /**
+   * Stop every table's round loop
+   */
+  stop() {
+    for (const table of this.tables.values()) {
+      table.roundService.stop();
+    }
+  }
+}
+
+// Singleton
+const tableService = new TableService();
+
+module.exports = tableService;
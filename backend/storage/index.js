@@ -0,0 +1,39 @@
+const { MemoryStore } = require('./memoryStore');
+const { JsonLinesStore } = require('./jsonLinesStore');
+const config = require('../config');
+
+/**
+ * Storage
+ * Collections for sessions, round history, active bets, the ledger, callback attempts and settlements,
+ * backed by the driver selected with STORAGE.DRIVER:
+ * - memory: nothing survives a restart
+ * - jsonl: append-only JSON-lines files in STORAGE.DATA_DIR
+ */
+
+const DRIVERS = {
+  memory: () => new MemoryStore(),
+  jsonl: ({ DATA_DIR, COMPACT_MIN_LINES, COMPACT_RATIO }) => new JsonLinesStore({
+    dataDir: DATA_DIR,
+    compactMinLines: COMPACT_MIN_LINES,
+    compactRatio: COMPACT_RATIO
+  })
+};
+
+/**
+ * Create a store for a storage configuration
+ */
+function createStore(storageConfig) {
+  const driver = DRIVERS[storageConfig.DRIVER];
+  if (!driver) {
+    throw new Error(`Unknown storage driver ${storageConfig.DRIVER}. Must be one of ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  console.log(`[Storage] Using ${storageConfig.DRIVER} storage`);
+
+  return driver(storageConfig);
+}
+
+// Singleton
+const storage = createStore(config.STORAGE);
+
+module.exports = storage;
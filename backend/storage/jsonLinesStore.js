@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryCollection, MemoryStore } = require('./memoryStore');
+
+/**
+ * JSON-lines storage
+ *
+ * Each collection is an append-only log, <dataDir>/<name>.jsonl, with one
+ * { op, key, value } line per set or delete. The log is replayed into memory
+ * when the collection is opened and rewritten with only the live records once
+ * it has grown well past them.
+ */
+
+class JsonLinesCollection extends MemoryCollection {
+  constructor(name, { filePath, compactMinLines, compactRatio }) {
+    super(name);
+    this.filePath = filePath;
+    this.compactMinLines = compactMinLines;
+    this.compactRatio = compactRatio;
+    this.lines = 0;
+
+    this.load();
+  }
+
+  /**
+   * Replay the log
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash can cut the last line short
+        console.warn(`[Storage] Skipping unreadable line in ${this.filePath}`);
+        continue;
+      }
+
+      if (entry.op === 'set') {
+        this.store(entry.key, entry.value);
+      } else if (entry.op === 'delete') {
+        this.remove(entry.key);
+      }
+      this.lines++;
+    }
+
+    this.compactIfNeeded();
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.append({ op: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.append({ op: 'delete', key });
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.compact();
+  }
+
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    this.lines++;
+    this.compactIfNeeded();
+  }
+
+  compactIfNeeded() {
+    if (this.lines >= this.compactMinLines && this.lines > this.items.size * this.compactRatio) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the log with one line per live record (temp file, then rename)
+   */
+  compact() {
+    const lines = Array.from(this.items, ([key, value]) => `${JSON.stringify({ op: 'set', key, value })}\n`);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, lines.join(''), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.lines = lines.length;
+  }
+}
+
+class JsonLinesStore extends MemoryStore {
+  constructor({ dataDir, compactMinLines, compactRatio }) {
+    super();
+    this.dataDir = dataDir;
+    this.compactMinLines = compactMinLines;
+    this.compactRatio = compactRatio;
+  }
+
+  createCollection(name) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid collection name ${name}`);
+    }
+
+    return new JsonLinesCollection(name, {
+      filePath: path.join(this.dataDir, `${name}.jsonl`),
+      compactMinLines: this.compactMinLines,
+      compactRatio: this.compactRatio
+    });
+  }
+}
+
+module.exports = {
+  JsonLinesCollection,
+  JsonLinesStore
+};
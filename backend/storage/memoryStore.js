@@ -0,0 +1,202 @@
+/**
+ * In-memory storage
+ *
+ * A collection behaves like a Map (get, set, has, delete, iteration in insertion
+ * order) plus find() for filtered, paged queries and unique secondary indexes
+ * (addIndex / getBy). Values are kept by reference: after changing a stored
+ * object, set() it again so persistent drivers and indexes see it.
+ */
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+    // Keys in insertion order, so find() can walk from either end without copying.
+    // Deleted keys stay behind until compactOrder(); positions tells the live ones apart.
+    this.order = [];
+    this.positions = new Map(); // key -> index in order
+    this.indexes = new Map(); // index name -> { keyOf, keys: index key -> key, byKey: key -> index key }
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  set(key, value) {
+    this.store(key, value);
+    return this;
+  }
+
+  delete(key) {
+    return this.remove(key);
+  }
+
+  clear() {
+    this.items.clear();
+    this.order = [];
+    this.positions.clear();
+    for (const index of this.indexes.values()) {
+      index.keys.clear();
+      index.byKey.clear();
+    }
+  }
+
+  /**
+   * Keep a value, with its position and index entries
+   */
+  store(key, value) {
+    if (!this.positions.has(key)) {
+      this.positions.set(key, this.order.length);
+      this.order.push(key);
+    }
+    this.items.set(key, value);
+
+    for (const index of this.indexes.values()) {
+      this.unindex(index, key);
+      this.indexValue(index, key, value);
+    }
+  }
+
+  /**
+   * Drop a value, with its position and index entries
+   */
+  remove(key) {
+    if (!this.items.delete(key)) return false;
+
+    this.positions.delete(key);
+    for (const index of this.indexes.values()) {
+      this.unindex(index, key);
+    }
+
+    // Rebuild the order once most of it is deleted keys
+    if (this.order.length > 2 * this.items.size + 64) {
+      this.compactOrder();
+    }
+    return true;
+  }
+
+  compactOrder() {
+    this.order = Array.from(this.items.keys());
+    this.positions = new Map(this.order.map((key, position) => [key, position]));
+  }
+
+  /**
+   * Index values by keyOf(value), e.g. a round's chain position
+   * Index keys are unique: a later value with the same index key replaces the earlier one.
+   * keyOf may return null or undefined for values that should not be indexed.
+   */
+  addIndex(name, keyOf) {
+    const index = { keyOf, keys: new Map(), byKey: new Map() };
+    for (const [key, value] of this.items) {
+      this.indexValue(index, key, value);
+    }
+    this.indexes.set(name, index);
+  }
+
+  /**
+   * Get the value an index has for an index key
+   */
+  getBy(name, indexKey) {
+    const index = this.indexes.get(name);
+    if (!index) {
+      throw new Error(`Collection ${this.name} has no index ${name}`);
+    }
+
+    const key = index.keys.get(indexKey);
+    return key === undefined ? undefined : this.items.get(key);
+  }
+
+  indexValue(index, key, value) {
+    const indexKey = index.keyOf(value);
+    if (indexKey === null || indexKey === undefined) return;
+
+    index.keys.set(indexKey, key);
+    index.byKey.set(key, indexKey);
+  }
+
+  unindex(index, key) {
+    const indexKey = index.byKey.get(key);
+    if (indexKey === undefined) return;
+
+    index.byKey.delete(key);
+    if (index.keys.get(indexKey) === key) {
+      index.keys.delete(indexKey);
+    }
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+
+  /**
+   * Query values, newest first unless oldestFirst is set
+   * filter: optional predicate; limit and offset page through the matches
+   */
+  find(filter = null, { limit = Infinity, offset = 0, oldestFirst = false } = {}) {
+    const matches = [];
+    if (limit <= 0) return matches;
+
+    const step = oldestFirst ? 1 : -1;
+    let skipped = 0;
+    for (let i = oldestFirst ? 0 : this.order.length - 1; i >= 0 && i < this.order.length; i += step) {
+      const key = this.order[i];
+      if (this.positions.get(key) !== i) continue; // Deleted (or deleted and set again later)
+
+      const value = this.items.get(key);
+      if (filter && !filter(value)) continue;
+
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      matches.push(value);
+      if (matches.length >= limit) break;
+    }
+    return matches;
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Get a collection by name, creating it on first use
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.createCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  createCollection(name) {
+    return new MemoryCollection(name);
+  }
+}
+
+module.exports = {
+  MemoryCollection,
+  MemoryStore
+};
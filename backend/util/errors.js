@@ -0,0 +1,139 @@
+/**
+ * Errors
+ *
+ * Every error a player, platform or operator can see has a stable code from
+ * ERRORS, with the HTTP status REST endpoints answer it with and an English
+ * message template. REST responses, socket events and failed callback results
+ * all describe an error as { code, message, details }.
+ *
+ * The code is the message key: clients translate by code and fill the
+ * template's {placeholders} from details, so the wording can change without
+ * breaking them.
+ */
+
+const ERRORS = {
+  // Requests and sessions
+  INVALID_REQUEST: { status: 400, message: 'Missing or invalid fields: {fields}' },
+  INVALID_SIGNATURE: { status: 401, message: 'Invalid signature' },
+  SIGNATURE_EXPIRED: { status: 401, message: 'Session init timestamp is outside the allowed window' },
+  TOKEN_REUSED: { status: 401, message: 'Session token has already been used' },
+  UNKNOWN_OPERATOR: { status: 404, message: 'Unknown operator {operatorId}' },
+  CALLBACK_URL_NOT_ALLOWED: { status: 403, message: 'Callback URL is not registered for operator {operatorId}' },
+  CURRENCY_NOT_SUPPORTED: { status: 400, message: 'Currency {currency} is not supported' },
+  TABLE_NOT_FOUND: { status: 404, message: 'Unknown table {tableId}' },
+  TABLE_NOT_AVAILABLE: { status: 403, message: 'Table {tableId} is not available for operator {operatorId}' },
+  INVALID_SESSION: { status: 401, message: 'Invalid or expired session' },
+  INVALID_CLIENT_SEED: { status: 400, message: 'Client seed must be 1-64 characters of letters, digits, "-" or "_"' },
+  CLIENT_SEED_LOCKED: { status: 409, message: 'Cannot change client seed while a bet is active' },
+
+  // Bets
+  INVALID_AMOUNT: { status: 400, message: 'Not a valid {currency} amount (at most {decimals} decimals)' },
+  INVALID_CHOICE: { status: 400, message: 'Invalid choice. Must be HEADS, TAILS, or EDGE' },
+  BET_TOO_SMALL: { status: 400, message: 'Minimum bet is {minBet} {currency}' },
+  BET_TOO_LARGE: { status: 400, message: 'Maximum bet is {maxBet} {currency}' },
+  ROUND_TOTAL_EXCEEDED: { status: 400, message: 'Maximum total per round is {maxRoundTotal} {currency}' },
+  LIABILITY_LIMIT: { status: 409, message: 'Round liability limit reached: maximum bet on {choice} is {maxBet} {currency}' },
+  NO_ACTIVE_ROUND: { status: 409, message: 'No active round' },
+  BETTING_CLOSED: { status: 409, message: 'Betting phase has ended' },
+  CANCEL_TOO_LATE: { status: 409, message: 'Too late to cancel, betting is about to close' },
+  BET_IN_PROGRESS: { status: 409, message: 'Another bet request is still being processed' },
+  BET_NOT_FOUND: { status: 404, message: 'Bet not found in the current round' },
+  INSUFFICIENT_FUNDS: { status: 402, message: 'Insufficient balance' },
+
+  // Platform callbacks
+  PLATFORM_REJECTED: { status: 422, message: 'The platform rejected the request ({platformCode})' },
+  PLATFORM_TIMEOUT: { status: 504, message: 'The platform did not answer in time' },
+  PLATFORM_UNAVAILABLE: { status: 503, message: 'The platform is unavailable, try again later' },
+  PLATFORM_ERROR: { status: 502, message: 'The platform request failed: {reason}' },
+  PLATFORM_SIGNATURE_INVALID: { status: 502, message: 'Platform response is unsigned or its signature does not match' },
+  PLATFORM_INVALID_RESPONSE: { status: 502, message: 'The platform response could not be read' },
+
+  // Operator API and verification
+  ADMIN_UNAUTHORIZED: { status: 401, message: 'Invalid admin token' },
+  SETTLEMENT_NOT_FOUND: { status: 404, message: 'Settlement {id} not found' },
+  SETTLEMENT_NOT_PENDING: { status: 409, message: 'Settlement {id} is {status}' },
+  SETTLEMENT_BUSY: { status: 409, message: 'Settlement {id} is already being retried' },
+  ROUND_NOT_FOUND: { status: 404, message: 'Round {roundId} not found' },
+  CALLBACK_NOT_FOUND: { status: 404, message: 'No callback attempts logged for {requestId}' },
+  VERIFICATION_FAILED: { status: 400, message: 'Verification failed: {reason}' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal error' }
+};
+
+/**
+ * Fill a message template's {placeholders} from details (lists are joined with commas)
+ */
+function formatMessage(template, details) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = details[key];
+    if (value === undefined || value === null) return placeholder;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+class GameError extends Error {
+  constructor(code, details = {}) {
+    const definition = ERRORS[code];
+    if (!definition) {
+      throw new Error(`Unknown error code ${code}`);
+    }
+
+    super(formatMessage(definition.message, details));
+    this.name = 'GameError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * HTTP status for REST responses
+   */
+  get status() {
+    return ERRORS[this.code].status;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+/**
+ * Throw a GameError
+ */
+function fail(code, details) {
+  throw new GameError(code, details);
+}
+
+/**
+ * Rebuild the error a { code, details } body describes (e.g. a failed callback result)
+ */
+function fromBody({ code, details }) {
+  return new GameError(ERRORS[code] ? code : 'INTERNAL_ERROR', details);
+}
+
+/**
+ * Describe any error as { code, message, details }
+ * Errors without a code of their own get fallbackCode, with their message as the reason
+ * (except INTERNAL_ERROR, whose cause stays in the server log)
+ */
+function toErrorBody(error, fallbackCode = 'INTERNAL_ERROR') {
+  if (error instanceof GameError) {
+    return error.toJSON();
+  }
+
+  const details = fallbackCode === 'INTERNAL_ERROR' ? {} : { reason: error.message };
+  return new GameError(fallbackCode, details).toJSON();
+}
+
+/**
+ * HTTP status of an error code
+ */
+function getStatus(code) {
+  return (ERRORS[code] || ERRORS.INTERNAL_ERROR).status;
+}
+
+module.exports = {
+  GameError,
+  fail,
+  fromBody,
+  toErrorBody,
+  getStatus
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small helpers for state files that must survive restarts
+ */
+
+/**
+ * Read a JSON file, returning fallback if it does not exist
+ */
+function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to temp file, then rename)
+ */
+function writeJsonAtomic(filePath, data, mode = 0o600) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode });
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  readJson,
+  writeJsonAtomic
+};
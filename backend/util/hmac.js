@@ -14,17 +14,22 @@ function hmacSha256Buffer(key, message) {
   return crypto.createHmac('sha256', key).update(message).digest();
 }
 
+/**
+ * Build the message a platform signs for /session/init
+ * playerId, currency, token, timestamp, callbackBaseUrl and tableId (empty if not sent) joined with newlines
+ */
+function buildSessionMessage({ playerId, currency, token, timestamp, callbackBaseUrl, tableId }) {
+  return [playerId, currency, token, timestamp, callbackBaseUrl, tableId || ''].join('\n');
+}
+
 /**
  * Validate platform signature
- * Platform sends: HMAC-SHA256(providerSecret, playerId + token + timestamp)
+ * Platform sends: hex HMAC-SHA256(providerSecret, buildSessionMessage(fields))
  */
-function validateSignature(providerSecret, playerId, token, timestamp, signature) {
-  const message = `${playerId}${token}${timestamp}`;
-  const expectedSignature = hmacSha256(providerSecret, message);
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'hex'),
-    Buffer.from(expectedSignature, 'hex')
-  );
+function validateSignature(providerSecret, fields, signature) {
+  if (typeof signature !== 'string') return false;
+  const expectedSignature = hmacSha256(providerSecret, buildSessionMessage(fields));
+  return safeCompare(signature.toLowerCase(), expectedSignature);
 }
 
 /**
@@ -35,6 +40,41 @@ function generateCallbackSignature(providerSecret, payload) {
   return hmacSha256(providerSecret, message);
 }
 
+/**
+ * Build the message a platform signs for a callback response
+ * The request's X-Provider-Signature and the raw response body joined with a newline,
+ * so a signed response cannot be replayed as the answer to another request
+ */
+function buildResponseMessage(requestSignature, body) {
+  return `${requestSignature}\n${body}`;
+}
+
+/**
+ * Generate a platform response signature (as the mock platform does)
+ */
+function generateResponseSignature(providerSecret, requestSignature, body) {
+  return hmacSha256(providerSecret, buildResponseMessage(requestSignature, body));
+}
+
+/**
+ * Validate a platform response signature
+ * Platform sends: hex HMAC-SHA256(providerSecret, buildResponseMessage(requestSignature, body))
+ */
+function validateResponseSignature(providerSecret, requestSignature, body, signature) {
+  if (typeof signature !== 'string') return false;
+  return safeCompare(signature.toLowerCase(), generateResponseSignature(providerSecret, requestSignature, body));
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
 /**
  * Generate random hex string
  */
@@ -52,8 +92,13 @@ function sha256(message) {
 module.exports = {
   hmacSha256,
   hmacSha256Buffer,
+  buildSessionMessage,
   validateSignature,
   generateCallbackSignature,
+  buildResponseMessage,
+  generateResponseSignature,
+  validateResponseSignature,
+  safeCompare,
   generateRandomHex,
   sha256
 };
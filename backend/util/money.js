@@ -0,0 +1,220 @@
+const config = require('../config');
+const { fail } = require('./errors');
+
+/**
+ * Money
+ *
+ * Amounts are integers in a currency's minor units (cents for EUR, yen for JPY,
+ * satoshis for BTC), so sums and comparisons are exact. Outside the process,
+ * in callbacks and socket events, they are decimal strings with exactly the
+ * currency's number of decimals ("12.50", "1500", "0.00012000").
+ *
+ * Every configured currency is checked when this module loads.
+ */
+
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+const LIMIT_FIELDS = ['MIN_BET', 'MAX_BET', 'MAX_ROUND_TOTAL', 'MAX_WIN', 'MAX_ROUND_LIABILITY'];
+
+/**
+ * Parse a decimal amount (string, or a number written without an exponent) into minor units
+ * Throws INVALID_AMOUNT if it is negative, malformed or more precise than the currency allows
+ */
+function parseMinor(value, code, decimals) {
+  const text = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+  const match = typeof text === 'string' ? AMOUNT_PATTERN.exec(text.trim()) : null;
+  if (!match || match[2] && match[2].replace(/0+$/, '').length > decimals) {
+    fail('INVALID_AMOUNT', { currency: code, decimals });
+  }
+
+  const [, whole, fraction = ''] = match;
+  const minor = Number(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
+  if (!Number.isSafeInteger(minor)) {
+    fail('INVALID_AMOUNT', { currency: code, decimals });
+  }
+  return minor;
+}
+
+/**
+ * Validate a currency definition and convert its limits to minor units
+ */
+function buildCurrency(code, { DECIMALS, ...limits }) {
+  if (!Number.isInteger(DECIMALS) || DECIMALS < 0 || DECIMALS > 8) {
+    throw new Error(`Currency ${code} needs DECIMALS between 0 and 8`);
+  }
+
+  const currency = { code, decimals: DECIMALS };
+  for (const field of LIMIT_FIELDS) {
+    if (limits[field] === undefined) {
+      throw new Error(`Currency ${code} needs ${field}`);
+    }
+  }
+  Object.assign(currency, toLimits(currency, limits, `Currency ${code}`));
+
+  if (currency.minBet > currency.maxBet) {
+    throw new Error(`Currency ${code}: MIN_BET is above MAX_BET`);
+  }
+
+  return currency;
+}
+
+/**
+ * Convert MIN_BET / MAX_BET / MAX_ROUND_TOTAL / MAX_WIN / MAX_ROUND_LIABILITY
+ * (decimal amounts, all optional) to minor units
+ */
+function toLimits(currency, limits, label) {
+  const keys = {
+    MIN_BET: 'minBet',
+    MAX_BET: 'maxBet',
+    MAX_ROUND_TOTAL: 'maxRoundTotal',
+    MAX_WIN: 'maxWin',
+    MAX_ROUND_LIABILITY: 'maxRoundLiability'
+  };
+  const result = {};
+
+  for (const [field, key] of Object.entries(keys)) {
+    if (limits[field] === undefined) continue;
+    try {
+      result[key] = parseMinor(limits[field], currency.code, currency.decimals);
+    } catch (error) {
+      throw new Error(`${label}: ${field} ${error.message}`);
+    }
+    if (result[key] === 0) {
+      throw new Error(`${label}: ${field} must be above zero`);
+    }
+  }
+
+  return result;
+}
+
+// Built once at load: a bad currency stops startup
+const currencies = new Map(
+  Object.entries(config.CURRENCIES).map(([code, definition]) => [code, buildCurrency(code, definition)])
+);
+
+/**
+ * Get a currency by code, throwing CURRENCY_NOT_SUPPORTED if it is not configured
+ */
+function getCurrency(code) {
+  const currency = currencies.get(code);
+  if (!currency) {
+    fail('CURRENCY_NOT_SUPPORTED', { currency: code });
+  }
+  return currency;
+}
+
+/**
+ * Check whether a currency is configured
+ */
+function isSupported(code) {
+  return currencies.has(code);
+}
+
+/**
+ * Get every configured currency code
+ */
+function getCurrencyCodes() {
+  return Array.from(currencies.keys());
+}
+
+/**
+ * Convert a decimal amount to minor units of a currency
+ */
+function toMinor(value, code) {
+  const currency = getCurrency(code);
+  return parseMinor(value, currency.code, currency.decimals);
+}
+
+/**
+ * Format minor units as a decimal string with the currency's decimals
+ */
+function toDecimal(minor, code) {
+  const { decimals } = getCurrency(code);
+  if (!Number.isSafeInteger(minor)) {
+    throw new Error(`Amount ${minor} is not an integer number of minor units`);
+  }
+
+  const sign = minor < 0 ? '-' : '';
+  const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+  if (decimals === 0) {
+    return `${sign}${digits}`;
+  }
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+/**
+ * Payout of a bet: amount x multiplier (at most two decimals), rounded down to a whole minor unit
+ */
+function applyMultiplier(minor, multiplier) {
+  const hundredths = Math.round(multiplier * 100);
+  const result = Number((BigInt(minor) * BigInt(hundredths)) / 100n);
+  if (!Number.isSafeInteger(result)) {
+    throw new Error(`Payout of ${minor} x ${multiplier} is too large`);
+  }
+  return result;
+}
+
+/**
+ * Largest bet whose payout at a multiplier stays within a payout limit (the inverse of applyMultiplier)
+ */
+function maxStakeFor(payoutLimit, multiplier) {
+  if (payoutLimit <= 0) return 0;
+
+  const hundredths = BigInt(Math.round(multiplier * 100));
+  return Number((BigInt(payoutLimit + 1) * 100n - 1n) / hundredths);
+}
+
+/**
+ * Bet limits in minor units for a currency, narrowed by each set of overrides
+ * Each override holds optional MIN_BET / MAX_BET / MAX_ROUND_TOTAL / MAX_WIN / MAX_ROUND_LIABILITY decimal amounts
+ * (a table's or an operator's); an override can raise MIN_BET and lower the others
+ */
+function getLimits(code, ...overrides) {
+  const currency = getCurrency(code);
+  const limits = {
+    minBet: currency.minBet,
+    maxBet: currency.maxBet,
+    maxRoundTotal: currency.maxRoundTotal,
+    maxWin: currency.maxWin,
+    maxRoundLiability: currency.maxRoundLiability
+  };
+
+  for (const override of overrides) {
+    if (!override) continue;
+    const narrowed = toLimits(currency, override, `${code} limits`);
+    if (narrowed.minBet !== undefined) limits.minBet = Math.max(limits.minBet, narrowed.minBet);
+    if (narrowed.maxBet !== undefined) limits.maxBet = Math.min(limits.maxBet, narrowed.maxBet);
+    if (narrowed.maxRoundTotal !== undefined) limits.maxRoundTotal = Math.min(limits.maxRoundTotal, narrowed.maxRoundTotal);
+    if (narrowed.maxWin !== undefined) limits.maxWin = Math.min(limits.maxWin, narrowed.maxWin);
+    if (narrowed.maxRoundLiability !== undefined) {
+      limits.maxRoundLiability = Math.min(limits.maxRoundLiability, narrowed.maxRoundLiability);
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Format a player's limits as decimal strings (the round liability is the house's, so it is left out)
+ */
+function formatLimits(limits, code) {
+  return {
+    currency: code,
+    decimals: getCurrency(code).decimals,
+    minBet: toDecimal(limits.minBet, code),
+    maxBet: toDecimal(limits.maxBet, code),
+    maxRoundTotal: toDecimal(limits.maxRoundTotal, code),
+    maxWin: toDecimal(limits.maxWin, code)
+  };
+}
+
+module.exports = {
+  getCurrency,
+  isSupported,
+  getCurrencyCodes,
+  toMinor,
+  toDecimal,
+  applyMultiplier,
+  maxStakeFor,
+  getLimits,
+  formatLimits
+};
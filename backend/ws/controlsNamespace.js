@@ -1,34 +1,56 @@
 const sessionService = require('../services/sessionService');
 const betService = require('../services/betService');
 const callbackService = require('../services/callbackService');
-const roundService = require('../services/roundService');
-const flipEngine = require('../engine/flipEngine');
+const tableService = require('../services/tableService');
+const operatorService = require('../services/operatorService');
+const money = require('../util/money');
+const { GameError, toErrorBody } = require('../util/errors');
 
 /**
  * Controls Namespace WebSocket Handler
  * Path: /ws/controls
  *
+ * Amounts in both directions are decimal strings in the session currency.
+ * Failed bet_result, bet_cancelled and client_seed_updated events and the error
+ * event carry { code, message, details } (see util/errors.js).
+ *
  * This namespace is for the controls iframe.
+ * Sockets join the room of their session's table, so round events
+ * only come from that table.
  * It handles player interactions:
  *
  * Receives from server:
  * - balance_update
  * - bet_result
+ * - bet_cancelled
  * - bet_won
  * - bet_lost
  * - error
  * - betting_phase
  * - round_reveal
  * - round_finished
+ * - client_seed
+ * - client_seed_updated
+ * - round_recovered (a round of the player's was settled or refunded after a restart)
+ * - theme (the operator's brand name and colors)
+ * - bet_limits { currency, decimals, minBet, maxBet, maxRoundTotal, maxWin }
+ * - max_bets { roundId, currency, maxBets: { HEADS, TAILS, EDGE } } (largest bet per choice right now)
  *
  * Sends to server:
- * - bet { amount, choice }
+ * - bet { amount, choice } (amount as a decimal string, e.g. "12.50")
+ * - cancel_bet { betId } (omit betId to cancel the latest bet)
  * - get_balance
+ * - set_client_seed { clientSeed }
  */
 
 function setupControlsNamespace(io) {
   const controlsNamespace = io.of('/flip/ws/controls');
 
+  // Round liability starts over with every round
+  for (const table of tableService.getTables()) {
+    table.flipEngine.on('betting_phase', () => broadcastMaxBets(controlsNamespace, table));
+  }
+
   controlsNamespace.on('connection', async (socket) => {
     const sessionId = socket.handshake.query.sessionId;
 
@@ -38,7 +60,7 @@ function setupControlsNamespace(io) {
     const session = sessionService.getSession(sessionId);
     if (!session) {
       console.log(`[ControlsNamespace] Invalid session, disconnecting: ${sessionId}`);
-      socket.emit('error', { code: 'INVALID_SESSION', message: 'Invalid or expired session' });
+      socket.emit('error', new GameError('INVALID_SESSION').toJSON());
       socket.disconnect(true);
       return;
     }
@@ -49,19 +71,38 @@ function setupControlsNamespace(io) {
     // Store session data on socket for easy access
     socket.sessionId = sessionId;
     socket.playerId = session.playerId;
+    socket.playerKey = session.playerKey;
     socket.callbackBaseUrl = session.callbackBaseUrl;
     socket.currency = session.currency;
 
-    console.log(`[ControlsNamespace] Player ${session.playerId} connected (controls iframe)`);
+    // Receive round broadcasts from the session's table only
+    const table = tableService.requireTable(session.tableId);
+    socket.tableId = table.id;
+    socket.join(table.room);
+
+    console.log(`[ControlsNamespace] Player ${session.playerId} connected to table ${table.id} (controls iframe)`);
+
+    // Operator branding and the bet limits for this player's operator and currency
+    socket.emit('theme', operatorService.getTheme(operatorService.requireOperator(session.operatorId)));
+    socket.emit('bet_limits', money.formatLimits(betService.getBetLimits(session), session.currency));
 
     // Fetch initial balance from platform
     await sendBalanceUpdate(socket, session);
 
     // Send current round state
-    sendRoundState(socket);
+    sendRoundState(socket, table);
 
     // Send player's bet status if they have one
-    sendBetStatus(socket);
+    sendBetStatus(socket, table);
+    sendMaxBets(socket);
+
+    // Send player's active client seed pair
+    socket.emit('client_seed', sessionService.getSeedPair(sessionId));
+
+    // Tell the player what happened to rounds interrupted by a restart
+    for (const notice of tableService.takeRecoveryNotices(session.playerKey)) {
+      socket.emit('round_recovered', notice);
+    }
 
     // ==================
     // Event Handlers
@@ -71,6 +112,14 @@ function setupControlsNamespace(io) {
      * Handle bet placement
      */
     socket.on('bet', async (data) => {
+      if (!data || typeof data !== 'object') {
+        socket.emit('bet_result', {
+          success: false,
+          ...new GameError('INVALID_REQUEST', { fields: ['amount', 'choice'] }).toJSON()
+        });
+        return;
+      }
+
       const { amount, choice } = data;
 
       console.log(`[ControlsNamespace] Bet request from ${socket.playerId}: ${amount} on ${choice}`);
@@ -84,19 +133,85 @@ function setupControlsNamespace(io) {
           newBalance: result.newBalance
         });
 
-        // Broadcast bet placement to all (for showing other players' bets)
-        controlsNamespace.emit('player_bet', {
+        // Broadcast bet placement to the table (for showing other players' bets)
+        controlsNamespace.to(table.room).emit('player_bet', {
           playerId: socket.playerId,
           amount: result.bet.amount,
           choice: result.bet.choice,
+          betId: result.bet.betId,
           roundId: result.bet.roundId
         });
 
+        // The bet used up some of the round's liability for everyone at the table
+        broadcastMaxBets(controlsNamespace, table);
+
       } catch (error) {
         console.error(`[ControlsNamespace] Bet error for ${socket.playerId}:`, error.message);
         socket.emit('bet_result', {
           success: false,
-          error: error.message
+          ...toErrorBody(error)
+        });
+
+        if (error.code === 'LIABILITY_LIMIT') {
+          sendMaxBets(socket);
+        }
+      }
+    });
+
+    /**
+     * Handle bet cancellation (refunded through the platform rollback callback)
+     */
+    socket.on('cancel_bet', async (data) => {
+      const betId = data ? data.betId : undefined;
+
+      console.log(`[ControlsNamespace] Cancel request from ${socket.playerId}: ${betId || 'latest bet'}`);
+
+      try {
+        const result = await betService.cancelBet(socket.sessionId, betId);
+
+        socket.emit('bet_cancelled', {
+          success: true,
+          bet: result.bet,
+          refundPending: result.refundPending,
+          newBalance: result.newBalance
+        });
+
+        controlsNamespace.to(table.room).emit('player_bet_cancelled', {
+          playerId: socket.playerId,
+          betId: result.bet.betId,
+          roundId: result.bet.roundId
+        });
+
+        broadcastMaxBets(controlsNamespace, table);
+      } catch (error) {
+        console.error(`[ControlsNamespace] Cancel error for ${socket.playerId}:`, error.message);
+        socket.emit('bet_cancelled', {
+          success: false,
+          betId,
+          ...toErrorBody(error)
+        });
+      }
+    });
+
+    /**
+     * Handle client seed change (omit clientSeed to rotate to a random one)
+     */
+    socket.on('set_client_seed', async (data) => {
+      const clientSeed = data ? data.clientSeed : undefined;
+
+      try {
+        const result = await betService.setClientSeed(socket.sessionId, clientSeed);
+
+        socket.emit('client_seed_updated', {
+          success: true,
+          current: result.current,
+          previous: result.previous
+        });
+      } catch (error) {
+        console.error(`[ControlsNamespace] Client seed error for ${socket.playerId}:`, error.message);
+        socket.emit('client_seed_updated', {
+          success: false,
+          ...toErrorBody(error)
         });
       }
     });
@@ -133,48 +248,45 @@ function setupControlsNamespace(io) {
 async function sendBalanceUpdate(socket, session) {
   try {
     const balanceResult = await callbackService.getBalance({
+      operatorId: session.operatorId,
       callbackBaseUrl: session.callbackBaseUrl,
       playerId: session.playerId,
-      sessionId: session.sessionId
+      sessionId: session.sessionId,
+      currency: session.currency
     });
 
     if (balanceResult.success) {
       sessionService.updateBalance(session.sessionId, balanceResult.balance);
 
       socket.emit('balance_update', {
-        balance: balanceResult.balance,
-        currency: balanceResult.currency || session.currency
+        balance: money.toDecimal(balanceResult.balance, session.currency),
+        currency: session.currency
       });
     } else {
       // Use cached balance if available
       const cachedBalance = sessionService.getBalance(session.sessionId);
       if (cachedBalance !== null) {
         socket.emit('balance_update', {
-          balance: cachedBalance,
+          balance: money.toDecimal(cachedBalance, session.currency),
           currency: session.currency,
           cached: true
         });
       } else {
-        socket.emit('error', {
-          code: 'BALANCE_FETCH_FAILED',
-          message: 'Could not fetch balance'
-        });
+        const { code, message, details } = balanceResult;
+        socket.emit('error', { code, message, details });
       }
     }
   } catch (error) {
     console.error(`[ControlsNamespace] Balance fetch error:`, error.message);
-    socket.emit('error', {
-      code: 'BALANCE_FETCH_FAILED',
-      message: error.message
-    });
+    socket.emit('error', toErrorBody(error));
   }
 }
 
 /**
  * Send current round state to socket
  */
-function sendRoundState(socket) {
-  const round = roundService.getCurrentRoundState();
+function sendRoundState(socket, table) {
+  const round = table.roundService.getCurrentRoundState();
 
   if (!round) {
     socket.emit('waiting', { message: 'Waiting for next round...' });
@@ -190,24 +302,51 @@ function sendRoundState(socket) {
 }
 
 /**
- * Send player's bet status
+ * Send player's bets in the current round
  */
-function sendBetStatus(socket) {
-  const bet = flipEngine.getPlayerBet(socket.playerId);
-
-  if (bet) {
-    socket.emit('bet_status', {
-      hasBet: true,
-      bet: {
-        amount: bet.amount,
-        choice: bet.choice,
-        placedAt: bet.placedAt
-      }
-    });
-  } else {
-    socket.emit('bet_status', {
-      hasBet: false
-    });
+function sendBetStatus(socket, table) {
+  const bets = table.flipEngine.getPlayerBets(socket.playerKey);
+
+  socket.emit('bet_status', {
+    hasBet: bets.length > 0,
+    bets: bets.map(bet => ({
+      betId: bet.id,
+      amount: money.toDecimal(bet.amount, bet.currency),
+      currency: bet.currency,
+      choice: bet.choice,
+      placedAt: bet.placedAt
+    }))
+  });
+}
+
+/**
+ * Send the player's largest possible bet per choice in the current round (betting phase only)
+ */
+function sendMaxBets(socket) {
+  const session = sessionService.getSession(socket.sessionId);
+  const result = session && betService.getMaxBets(session);
+  if (!result) return;
+
+  const maxBets = {};
+  for (const [choice, amount] of Object.entries(result.maxBets)) {
+    maxBets[choice] = money.toDecimal(amount, session.currency);
+  }
+
+  socket.emit('max_bets', {
+    roundId: result.roundId,
+    currency: session.currency,
+    maxBets
+  });
+}
+
+/**
+ * Refresh max_bets for every controls socket at a table (its round's liability is shared)
+ */
+function broadcastMaxBets(controlsNamespace, table) {
+  for (const socket of controlsNamespace.sockets.values()) {
+    if (socket.tableId === table.id) {
+      sendMaxBets(socket);
+    }
   }
 }
 
@@ -1,15 +1,19 @@
 const sessionService = require('../services/sessionService');
-const roundService = require('../services/roundService');
+const tableService = require('../services/tableService');
+const operatorService = require('../services/operatorService');
+const { GameError } = require('../util/errors');
 
 /**
  * Game Namespace WebSocket Handler
  * Path: /ws/game
  *
  * This namespace is for the game visualization iframe.
+ * Sockets join the room of their session's table.
  * It receives game state updates (read-only):
  * - betting_phase
  * - round_reveal
  * - round_finished
+ * - theme (the operator's brand name and colors, on connect)
  */
 
 function setupGameNamespace(io) {
@@ -24,7 +28,7 @@ function setupGameNamespace(io) {
     const session = sessionService.getSession(sessionId);
     if (!session) {
       console.log(`[GameNamespace] Invalid session, disconnecting: ${sessionId}`);
-      socket.emit('error', { code: 'INVALID_SESSION', message: 'Invalid or expired session' });
+      socket.emit('error', new GameError('INVALID_SESSION').toJSON());
       socket.disconnect(true);
       return;
     }
@@ -36,13 +40,20 @@ function setupGameNamespace(io) {
     socket.sessionId = sessionId;
     socket.playerId = session.playerId;
 
-    console.log(`[GameNamespace] Player ${session.playerId} connected (game iframe)`);
+    // Receive round broadcasts from the session's table only
+    const table = tableService.requireTable(session.tableId);
+    socket.join(table.room);
+
+    console.log(`[GameNamespace] Player ${session.playerId} connected to table ${table.id} (game iframe)`);
+
+    // Operator branding
+    socket.emit('theme', operatorService.getTheme(operatorService.requireOperator(session.operatorId)));
 
     // Send current game state
-    sendCurrentState(socket);
+    sendCurrentState(socket, table);
 
     // Send round history
-    socket.emit('history', roundService.getHistory(20));
+    socket.emit('history', table.roundService.getHistory(20));
 
     // Handle disconnect
     socket.on('disconnect', (reason) => {
@@ -62,8 +73,8 @@ function setupGameNamespace(io) {
 /**
  * Send current game state to newly connected socket
  */
-function sendCurrentState(socket) {
-  const round = roundService.getCurrentRoundState();
+function sendCurrentState(socket, table) {
+  const round = table.roundService.getCurrentRoundState();
 
   if (!round) {
     socket.emit('waiting', { message: 'Waiting for next round...' });
@@ -74,8 +85,12 @@ function sendCurrentState(socket) {
     case 'betting':
       socket.emit('betting_phase', {
         roundId: round.id,
+        tableId: round.tableId,
         serverSeedHash: round.serverSeedHash,
+        resultMode: round.resultMode,
+        algorithmVersion: round.algorithmVersion,
         clientSeed: round.clientSeed,
+        baseClientSeed: round.baseClientSeed,
         nonce: round.nonce
       });
       break;
@@ -3,6 +3,44 @@
  * Handles player interactions: betting, balance updates
  */
 
+// Player-facing text per error code ({placeholders} come from the error's details);
+// codes not listed fall back to the server's message
+const ERROR_MESSAGES = {
+  INVALID_SESSION: 'Your session has expired. Please reopen the game.',
+  INVALID_AMOUNT: 'Enter an amount with at most {decimals} decimals',
+  INVALID_CHOICE: 'Pick heads, tails or edge',
+  BET_TOO_SMALL: 'The minimum bet is {minBet} {currency}',
+  BET_TOO_LARGE: 'The maximum bet is {maxBet} {currency}',
+  ROUND_TOTAL_EXCEEDED: 'You can bet at most {maxRoundTotal} {currency} per round',
+  LIABILITY_LIMIT: 'This round takes at most {maxBet} {currency} more on {choice}',
+  NO_ACTIVE_ROUND: 'Wait for the next round to start',
+  BETTING_CLOSED: 'Betting is closed for this round',
+  CANCEL_TOO_LATE: 'Too late to cancel, betting is about to close',
+  BET_IN_PROGRESS: 'Your previous bet is still being processed',
+  BET_NOT_FOUND: 'That bet is no longer in this round',
+  INSUFFICIENT_FUNDS: 'Not enough balance for this bet',
+  INVALID_CLIENT_SEED: 'Use 1-64 letters, digits, "-" or "_" for your seed',
+  CLIENT_SEED_LOCKED: 'You can change your seed once your bets are settled',
+  PLATFORM_REJECTED: 'Your casino declined the bet',
+  PLATFORM_TIMEOUT: 'Your casino did not respond in time. Please try again.',
+  PLATFORM_UNAVAILABLE: 'Your casino is temporarily unavailable. Please try again shortly.',
+  PLATFORM_ERROR: 'Your casino could not be reached. Please try again.',
+  PLATFORM_SIGNATURE_INVALID: 'Your casino\'s answer could not be verified, so the bet was cancelled',
+  PLATFORM_INVALID_RESPONSE: 'Your casino sent an answer we could not read'
+};
+
+/**
+ * Text for a { code, message, details } error
+ */
+function describeError(data, fallback) {
+  const template = ERROR_MESSAGES[data.code];
+  if (!template) return data.message || fallback;
+
+  const details = data.details || {};
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    details[key] === undefined ? placeholder : String(details[key]));
+}
+
 class FlipControls {
   constructor() {
     // Get session ID from URL
@@ -12,9 +50,15 @@ class FlipControls {
     this.balanceEl = document.getElementById('balance');
     this.betAmountEl = document.getElementById('betAmount');
     this.betBtn = document.getElementById('betBtn');
+    this.cancelBetBtn = document.getElementById('cancelBetBtn');
     this.headsBtn = document.getElementById('headsBtn');
     this.tailsBtn = document.getElementById('tailsBtn');
     this.edgeBtn = document.getElementById('edgeBtn');
+    this.maxBetEls = {
+      HEADS: document.getElementById('headsMax'),
+      TAILS: document.getElementById('tailsMax'),
+      EDGE: document.getElementById('edgeMax')
+    };
     this.roundStatusBannerEl = document.getElementById('roundStatusBanner');
     this.currentBetInfoEl = document.getElementById('currentBetInfo');
     this.currentBetAmountEl = document.getElementById('currentBetAmount');
@@ -22,13 +66,19 @@ class FlipControls {
     this.statusMessageEl = document.getElementById('statusMessage');
     this.connectionStatusEl = document.getElementById('connectionStatus');
     this.quickBetBtns = document.querySelectorAll('.quick-bet-btn');
+    this.clientSeedEl = document.getElementById('clientSeed');
+    this.clientSeedBtn = document.getElementById('clientSeedBtn');
 
     // State
     this.balance = 0;
-    this.currency = 'STARS';
-    this.currentBet = null;
+    this.currency = '';
+    this.decimals = 2;
+    this.currentBets = [];
     this.selectedChoice = null;
     this.roundStatus = 'waiting';
+    this.seedPair = null;
+    this.betLimits = { minBet: 0, maxBet: Infinity };
+    this.maxBets = null; // choice -> largest bet the current round still takes
 
     // Initialize
     this.init();
@@ -51,6 +101,9 @@ class FlipControls {
     // Bet button
     this.betBtn.addEventListener('click', () => this.placeBet());
 
+    // Cancel button (latest bet)
+    this.cancelBetBtn.addEventListener('click', () => this.cancelBet());
+
     // Quick bet buttons
     this.quickBetBtns.forEach(btn => {
       btn.addEventListener('click', () => this.handleQuickBet(btn));
@@ -62,6 +115,9 @@ class FlipControls {
         this.placeBet();
       }
     });
+
+    // Client seed
+    this.clientSeedBtn.addEventListener('click', () => this.setClientSeed());
   }
 
   connect() {
@@ -106,6 +162,11 @@ class FlipControls {
       this.handleBetResult(data);
     });
 
+    // Bet cancelled
+    this.socket.on('bet_cancelled', (data) => {
+      this.handleBetCancelled(data);
+    });
+
     // Bet won
     this.socket.on('bet_won', (data) => {
       this.handleBetWon(data);
@@ -121,6 +182,24 @@ class FlipControls {
       this.handleBetStatus(data);
     });
 
+    // Operator branding and bet limits
+    this.socket.on('theme', (data) => {
+      this.handleTheme(data);
+    });
+
+    this.socket.on('bet_limits', (data) => {
+      this.handleBetLimits(data);
+    });
+
+    this.socket.on('max_bets', (data) => {
+      this.handleMaxBets(data);
+    });
+
+    // Round interrupted by a server restart
+    this.socket.on('round_recovered', (data) => {
+      this.handleRoundRecovered(data);
+    });
+
     // Round state
     this.socket.on('round_state', (data) => {
       this.handleRoundState(data);
@@ -139,10 +218,19 @@ class FlipControls {
       this.handleRoundFinished(data);
     });
 
+    // Client seed
+    this.socket.on('client_seed', (data) => {
+      this.handleClientSeed(data);
+    });
+
+    this.socket.on('client_seed_updated', (data) => {
+      this.handleClientSeedUpdated(data);
+    });
+
     // Errors
     this.socket.on('error', (data) => {
       console.error('[Controls] Error:', data);
-      this.showStatus(data.message || 'Error', 'error');
+      this.showStatus(describeError(data, 'Error'), 'error');
     });
 
     this.socket.on('waiting', (data) => {
@@ -153,7 +241,6 @@ class FlipControls {
 
   selectChoice(choice) {
     if (this.roundStatus !== 'betting') return;
-    if (this.currentBet) return;
 
     this.selectedChoice = choice;
 
@@ -163,25 +250,110 @@ class FlipControls {
     this.edgeBtn.classList.toggle('selected', choice === 'EDGE');
   }
 
+  handleTheme(data) {
+    const root = document.documentElement;
+
+    if (data.brandName) document.title = `${data.brandName} - Game Controls`;
+    if (data.background) root.style.setProperty('--theme-background', data.background);
+    if (data.backgroundGlow) root.style.setProperty('--theme-background-glow', data.backgroundGlow);
+    if (data.accent) root.style.setProperty('--theme-accent', data.accent);
+  }
+
+  handleBetLimits(data) {
+    console.log('[Controls] Bet limits:', data);
+    this.currency = data.currency;
+    this.decimals = data.decimals;
+    this.betLimits = {
+      minBet: Number(data.minBet),
+      maxBet: Number(data.maxBet)
+    };
+    this.betAmountEl.min = data.minBet;
+    this.betAmountEl.max = data.maxBet;
+    this.betAmountEl.step = (1 / 10 ** this.decimals).toFixed(this.decimals);
+    this.betAmountEl.value = this.clampAmount(Number(this.betAmountEl.value));
+  }
+
+  handleMaxBets(data) {
+    this.maxBets = {};
+    for (const [choice, amount] of Object.entries(data.maxBets)) {
+      this.maxBets[choice] = Number(amount);
+      this.maxBetEls[choice].textContent = this.maxBets[choice] > 0 ? `max ${amount}` : 'full';
+    }
+  }
+
+  clearMaxBets() {
+    this.maxBets = null;
+    Object.values(this.maxBetEls).forEach(el => el.textContent = '');
+  }
+
   handleBalanceUpdate(data) {
     console.log('[Controls] Balance update:', data);
-    this.balance = data.balance;
-    this.balanceEl.textContent = `${this.balance.toFixed(2)} STARS`;
+    this.currency = data.currency || this.currency;
+    this.setBalance(data.balance);
+  }
+
+  // Amounts arrive as decimal strings in the session currency
+  setBalance(balance) {
+    this.balance = Number(balance);
+    this.balanceEl.textContent = this.formatAmount(balance);
+  }
+
+  formatAmount(amount) {
+    return `${Number(amount).toFixed(this.decimals)} ${this.currency}`;
   }
 
   handleBetResult(data) {
     console.log('[Controls] Bet result:', data);
 
     if (data.success) {
-      this.currentBet = data.bet;
-      this.balance = data.newBalance;
-      this.balanceEl.textContent = `${this.balance.toFixed(2)} STARS`;
+      this.currentBets.push(data.bet);
+      if (data.newBalance !== null) {
+        this.setBalance(data.newBalance);
+      }
 
-      this.showStatus(`Bet placed: ${data.bet.amount.toFixed(2)} STARS on ${data.bet.choice}`, 'success');
+      this.showStatus(`Bet placed: ${this.formatAmount(data.bet.amount)} on ${data.bet.choice}`, 'success');
       this.updateUIForActiveBet();
+
+      // More bets can be added until betting closes
+      if (this.roundStatus === 'betting') {
+        this.enableBetting();
+      }
     } else {
-      this.showStatus(data.error || 'Bet failed', 'error');
-      this.enableBetting();
+      this.showStatus(describeError(data, 'Bet failed'), 'error');
+
+      // The earlier request's result re-enables betting when it arrives
+      if (data.code !== 'BET_IN_PROGRESS') {
+        this.enableBetting();
+      }
+    }
+  }
+
+  handleBetCancelled(data) {
+    console.log('[Controls] Bet cancelled:', data);
+    this.cancelBetBtn.disabled = false;
+
+    if (!data.success) {
+      this.showStatus(describeError(data, 'Could not cancel bet'), 'error');
+      return;
+    }
+
+    this.currentBets = this.currentBets.filter(bet => bet.betId !== data.bet.betId);
+
+    if (data.newBalance !== null && data.newBalance !== undefined) {
+      this.setBalance(data.newBalance);
+    }
+
+    this.showStatus(
+      data.refundPending
+        ? `Bet cancelled: refund of ${this.formatAmount(data.bet.amount)} is pending`
+        : `Bet cancelled: ${this.formatAmount(data.bet.amount)} on ${data.bet.choice} refunded`,
+      'info'
+    );
+
+    if (this.currentBets.length > 0) {
+      this.updateUIForActiveBet();
+    } else {
+      this.hideCurrentBetInfo();
     }
   }
 
@@ -190,16 +362,15 @@ class FlipControls {
 
     // Update balance if provided
     if (data.newBalance !== null && data.newBalance !== undefined) {
-      this.balance = data.newBalance;
-      this.balanceEl.textContent = `${this.balance.toFixed(2)} STARS`;
+      this.setBalance(data.newBalance);
     }
 
     this.showStatus(
-      `🎉 YOU WON! +${data.winAmount.toFixed(2)} STARS (Bet: ${data.betAmount.toFixed(2)} on ${data.result})`,
+      `🎉 YOU WON! +${this.formatAmount(data.winAmount)} (Bet: ${this.formatAmount(data.betAmount)}, result ${data.result})`,
       'success'
     );
 
-    this.currentBet = null;
+    this.currentBets = [];
     this.selectedChoice = null;
     this.hideCurrentBetInfo();
   }
@@ -208,21 +379,43 @@ class FlipControls {
     console.log('[Controls] Bet lost:', data);
 
     this.showStatus(
-      `You lost: ${data.betAmount.toFixed(2)} STARS (Result: ${data.result})`,
+      `You lost: ${this.formatAmount(data.betAmount)} (Result: ${data.result})`,
       'error'
     );
 
-    this.currentBet = null;
+    this.currentBets = [];
     this.selectedChoice = null;
     this.hideCurrentBetInfo();
   }
 
+  handleRoundRecovered(data) {
+    console.log('[Controls] Round recovered:', data);
+
+    const pending = data.pending ? ' (payment pending)' : '';
+
+    if (data.outcome === 'ABORTED') {
+      this.showStatus(
+        `Round ${data.roundId} was interrupted: ${this.formatAmount(data.refundAmount)} refunded${pending}`,
+        'info'
+      );
+    } else if (data.winAmount > 0) {
+      this.showStatus(
+        `Round ${data.roundId} was interrupted and settled (${data.result}): +${this.formatAmount(data.winAmount)}${pending}`,
+        'success'
+      );
+    } else {
+      this.showStatus(
+        `Round ${data.roundId} was interrupted and settled (${data.result}): lost ${this.formatAmount(data.betAmount)}`,
+        'error'
+      );
+    }
+  }
+
   handleBetStatus(data) {
     console.log('[Controls] Bet status:', data);
 
     if (data.hasBet) {
-      this.currentBet = { amount: data.bet.amount, choice: data.bet.choice };
-      this.selectedChoice = data.bet.choice;
+      this.currentBets = data.bets;
       this.updateUIForActiveBet();
     }
   }
@@ -237,7 +430,7 @@ class FlipControls {
     console.log('[Controls] Betting phase:', data);
 
     this.roundStatus = 'betting';
-    this.currentBet = null;
+    this.currentBets = [];
     this.selectedChoice = null;
 
     this.updateRoundStatusUI();
@@ -249,7 +442,8 @@ class FlipControls {
     this.tailsBtn.classList.remove('selected');
     this.edgeBtn.classList.remove('selected');
 
-    this.showStatus('Place your bets! 30 seconds remaining', 'info');
+    const seconds = data.duration ? Math.ceil(data.duration / 1000) : 30;
+    this.showStatus(`Place your bets! ${seconds} seconds remaining`, 'info');
   }
 
   handleRoundReveal(data) {
@@ -258,6 +452,7 @@ class FlipControls {
     this.roundStatus = 'revealing';
     this.updateRoundStatusUI();
     this.disableBetting();
+    this.clearMaxBets();
   }
 
   handleRoundFinished(data) {
@@ -276,7 +471,7 @@ class FlipControls {
 
     const amount = parseFloat(this.betAmountEl.value);
 
-    if (isNaN(amount) || amount <= 0) {
+    if (isNaN(amount) || amount <= 0 || !this.hasValidPrecision(this.betAmountEl.value)) {
       this.showStatus('⚠️ Enter a valid bet amount', 'error');
       return;
     }
@@ -286,17 +481,71 @@ class FlipControls {
       return;
     }
 
+    if (amount < this.betLimits.minBet || amount > this.betLimits.maxBet) {
+      this.showStatus(`⚠️ Bet must be between ${this.formatAmount(this.betLimits.minBet)} and ${this.formatAmount(this.betLimits.maxBet)}`, 'error');
+      return;
+    }
+
     if (this.roundStatus !== 'betting') {
       this.showStatus('⚠️ Betting phase has ended', 'error');
       return;
     }
 
+    if (this.maxBets && amount > this.maxBets[this.selectedChoice]) {
+      this.showStatus(`⚠️ Maximum bet on ${this.selectedChoice} this round is ${this.formatAmount(this.maxBets[this.selectedChoice])}`, 'error');
+      return;
+    }
+
     // Disable bet button while processing
     this.betBtn.disabled = true;
     this.betBtn.textContent = 'PLACED';
 
-    // Send bet to server
-    this.socket.emit('bet', { amount, choice: this.selectedChoice });
+    // Send bet to server (as a decimal string, the server works in exact minor units)
+    this.socket.emit('bet', { amount: amount.toFixed(this.decimals), choice: this.selectedChoice });
+  }
+
+  cancelBet() {
+    const latest = this.currentBets[this.currentBets.length - 1];
+    if (!latest || this.roundStatus !== 'betting') return;
+
+    this.cancelBetBtn.disabled = true;
+    this.socket.emit('cancel_bet', { betId: latest.betId });
+  }
+
+  setClientSeed() {
+    const clientSeed = this.clientSeedEl.value.trim();
+
+    // Unchanged value means "give me a fresh random seed"
+    const rotateRandom = !clientSeed || (this.seedPair && clientSeed === this.seedPair.clientSeed);
+
+    this.clientSeedBtn.disabled = true;
+    this.socket.emit('set_client_seed', { clientSeed: rotateRandom ? undefined : clientSeed });
+  }
+
+  handleClientSeed(data) {
+    console.log('[Controls] Client seed:', data);
+    this.seedPair = data;
+    this.clientSeedEl.value = data.clientSeed;
+  }
+
+  handleClientSeedUpdated(data) {
+    console.log('[Controls] Client seed updated:', data);
+    this.clientSeedBtn.disabled = false;
+
+    if (data.success) {
+      this.handleClientSeed(data.current);
+
+      const { previous } = data;
+      const range = previous.nonceEnd >= previous.nonceStart
+        ? `nonces ${previous.nonceStart}-${previous.nonceEnd}`
+        : 'unused';
+      this.showStatus(`Seed rotated. Previous: ${previous.clientSeed} (${range})`, 'info');
+    } else {
+      this.showStatus(describeError(data, 'Could not change client seed'), 'error');
+      if (this.seedPair) {
+        this.clientSeedEl.value = this.seedPair.clientSeed;
+      }
+    }
   }
 
   handleQuickBet(btn) {
@@ -310,16 +559,24 @@ class FlipControls {
     } else if (action === 'double') {
       newAmount = parseFloat(this.betAmountEl.value) * 2;
     } else if (amount === 'max') {
-      newAmount = this.balance;
+      newAmount = this.maxBets && this.selectedChoice ? this.maxBets[this.selectedChoice] : this.betLimits.maxBet;
     } else {
       newAmount = parseFloat(amount);
     }
 
-    // Clamp to balance
-    newAmount = Math.min(newAmount, this.balance);
-    newAmount = Math.max(newAmount, 1);
+    this.betAmountEl.value = this.clampAmount(newAmount);
+  }
+
+  // Clamp to balance and bet limits, with the currency's decimals
+  clampAmount(amount) {
+    const clamped = Math.max(Math.min(amount, this.balance, this.betLimits.maxBet), this.betLimits.minBet);
+    const factor = 10 ** this.decimals;
+    return (Math.floor(clamped * factor + 1e-6) / factor).toFixed(this.decimals);
+  }
 
-    this.betAmountEl.value = newAmount.toFixed(2);
+  hasValidPrecision(value) {
+    const [, fraction = ''] = value.trim().split('.');
+    return fraction.replace(/0+$/, '').length <= this.decimals;
   }
 
   updateRoundStatusUI() {
@@ -344,17 +601,16 @@ class FlipControls {
   }
 
   updateUIForActiveBet() {
-    if (this.currentBet) {
+    if (this.currentBets.length > 0) {
+      const total = this.currentBets.reduce((sum, bet) => sum + Number(bet.amount), 0);
+
       this.currentBetInfoEl.classList.add('visible');
-      this.currentBetAmountEl.textContent = `${this.currentBet.amount.toFixed(2)} STARS`;
-      this.currentBetChoiceEl.textContent = `Choice: ${this.currentBet.choice}`;
-
-      this.betBtn.disabled = true;
-      this.betAmountEl.disabled = true;
-      this.headsBtn.disabled = true;
-      this.tailsBtn.disabled = true;
-      this.edgeBtn.disabled = true;
-      this.quickBetBtns.forEach(btn => btn.disabled = true);
+      this.currentBetAmountEl.textContent = this.formatAmount(total);
+      this.currentBetChoiceEl.textContent = this.currentBets
+        .map(bet => `${bet.amount} on ${bet.choice}`)
+        .join(', ');
+
+      this.cancelBetBtn.classList.toggle('visible', this.roundStatus === 'betting');
     }
   }
 
@@ -370,6 +626,7 @@ class FlipControls {
 
   disableBetting() {
     this.betBtn.disabled = true;
+    this.cancelBetBtn.classList.remove('visible');
     this.betAmountEl.disabled = true;
     this.headsBtn.disabled = true;
     this.tailsBtn.disabled = true;
@@ -379,6 +636,7 @@ class FlipControls {
 
   hideCurrentBetInfo() {
     this.currentBetInfoEl.classList.remove('visible');
+    this.cancelBetBtn.classList.remove('visible');
   }
 
   showStatus(message, type) {
@@ -68,6 +68,11 @@ class FlipGame {
       this.statusTextEl.textContent = 'Connection error';
     });
 
+    // Operator branding
+    this.socket.on('theme', (data) => {
+      this.handleTheme(data);
+    });
+
     // Game events
     this.socket.on('error', (data) => {
       console.error('[Game] Error:', data);
@@ -105,6 +110,15 @@ class FlipGame {
     });
   }
 
+  handleTheme(data) {
+    const root = document.documentElement;
+
+    if (data.brandName) document.title = `${data.brandName} - Flip Game`;
+    if (data.background) root.style.setProperty('--theme-background', data.background);
+    if (data.backgroundGlow) root.style.setProperty('--theme-background-glow', data.backgroundGlow);
+    if (data.accent) root.style.setProperty('--theme-accent', data.accent);
+  }
+
   handleBettingPhase(data) {
     console.log('[Game] Betting phase:', data);
 
@@ -120,10 +134,10 @@ class FlipGame {
     // Reset coin to heads position
     this.coinImageEl.src = 'assets/coins/heads.png';
 
-    // Start countdown (30 seconds)
-    this.startCountdown(30);
-    // Start betting timer (30 seconds)
-    this.startBettingTimer(30);
+    // Betting phase length depends on the table
+    const seconds = data.duration ? Math.ceil(data.duration / 1000) : 30;
+    this.startCountdown(seconds);
+    this.startBettingTimer(seconds);
   }
 
   handleReveal(data) {
@@ -229,9 +243,9 @@ class FlipGame {
   }
 
   extractRoundNumber(roundId) {
-    // Extract number from round ID like "F-1234567890-42"
+    // Extract nonce from round ID like "F-main-1234567890-42" (table IDs may contain dashes)
     const parts = roundId.split('-');
-    return parts.length > 2 ? `#${parts[2]}` : '';
+    return parts.length > 2 ? `#${parts[parts.length - 1]}` : '';
   }
 
   startCountdown(seconds) {
@@ -313,8 +327,12 @@ class FlipGame {
     this.historyBarEl.innerHTML = '';
 
     this.history.slice(0, 15).forEach(round => {
-      const item = document.createElement('div');
+      // Each entry opens the provably fair verifier with the round prefilled
+      const item = document.createElement('a');
       item.className = `history-item ${round.result.toLowerCase()}`;
+      item.href = `provably-fair?roundId=${encodeURIComponent(round.id)}`;
+      item.target = '_blank';
+      item.rel = 'noopener';
       
       // Add small coin image
       const img = document.createElement('img');
@@ -322,7 +340,7 @@ class FlipGame {
       img.alt = round.result;
       item.appendChild(img);
       
-      item.title = `Round: ${round.id} - ${round.result}`;
+      item.title = `Round: ${round.id} - ${round.result} (click to verify)`;
       this.historyBarEl.appendChild(item);
     });
   }
@@ -0,0 +1,243 @@
+/**
+ * Flip Game - Provably Fair Verifier Page
+ * Recomputes a flip and checks the server seed against the published chains,
+ * using the standalone FlipVerifier module (nothing is trusted from the server)
+ */
+
+class ProvablyFairPage {
+  constructor() {
+    // DOM elements
+    this.roundIdEl = document.getElementById('roundId');
+    this.loadBtn = document.getElementById('loadBtn');
+    this.serverSeedEl = document.getElementById('serverSeed');
+    this.clientSeedEl = document.getElementById('clientSeed');
+    this.nonceEl = document.getElementById('nonce');
+    this.versionEl = document.getElementById('version');
+    this.probHeadsEl = document.getElementById('probHeads');
+    this.probTailsEl = document.getElementById('probTails');
+    this.probEdgeEl = document.getElementById('probEdge');
+    this.verifyBtn = document.getElementById('verifyBtn');
+    this.resultEl = document.getElementById('result');
+    this.coinImageEl = document.getElementById('coinImage');
+    this.resultTextEl = document.getElementById('resultText');
+    this.rollTextEl = document.getElementById('rollText');
+    this.hashBytesEl = document.getElementById('hashBytes');
+    this.checksEl = document.getElementById('checks');
+
+    // State
+    this.publicData = null;
+    this.bundle = null;
+
+    // Initialize
+    this.init();
+  }
+
+  async init() {
+    this.loadBtn.addEventListener('click', () => this.loadRound(this.roundIdEl.value.trim()));
+    this.verifyBtn.addEventListener('click', () => {
+      // Manual edits no longer describe the loaded round
+      this.bundle = null;
+      this.verify();
+    });
+
+    await this.loadPublicData();
+
+    const roundId = new URLSearchParams(window.location.search).get('roundId');
+    if (roundId) {
+      this.roundIdEl.value = roundId;
+      await this.loadRound(roundId);
+    }
+  }
+
+  /**
+   * Fetch published chains and current odds
+   */
+  async loadPublicData() {
+    try {
+      const res = await fetch('provably-fair', { headers: { Accept: 'application/json' } });
+      this.publicData = await res.json();
+
+      const { current } = this.publicData;
+      this.versionEl.value = String(current.algorithmVersion);
+      this.fillProbabilities(current.probabilities);
+    } catch (error) {
+      console.error('[Verifier] Could not load public data:', error);
+      this.renderChecks([{ type: 'fail', text: 'Could not load published chains from the server' }]);
+    }
+  }
+
+  /**
+   * Prefill the form with a finished round's proof bundle and verify it
+   */
+  async loadRound(roundId) {
+    if (!roundId) return;
+
+    this.loadBtn.disabled = true;
+
+    try {
+      const res = await fetch(`provably-fair/rounds/${encodeURIComponent(roundId)}`);
+      if (!res.ok) {
+        throw new Error(res.status === 404 ? 'Round not found (it may not be finished yet)' : `HTTP ${res.status}`);
+      }
+
+      this.bundle = await res.json();
+      const { inputs } = this.bundle;
+
+      this.serverSeedEl.value = inputs.serverSeed;
+      this.clientSeedEl.value = inputs.clientSeed;
+      this.nonceEl.value = inputs.nonce;
+      this.versionEl.value = String(this.bundle.algorithmVersion);
+      this.fillProbabilities(this.bundle.probabilities);
+
+      await this.verify();
+    } catch (error) {
+      this.renderChecks([{ type: 'fail', text: error.message }]);
+    } finally {
+      this.loadBtn.disabled = false;
+    }
+  }
+
+  fillProbabilities(probabilities) {
+    if (!probabilities) return;
+    this.probHeadsEl.value = probabilities.HEADS;
+    this.probTailsEl.value = probabilities.TAILS;
+    this.probEdgeEl.value = probabilities.EDGE;
+  }
+
+  async verify() {
+    const serverSeed = this.serverSeedEl.value.trim();
+    const clientSeed = this.clientSeedEl.value.trim();
+    const nonce = parseInt(this.nonceEl.value, 10);
+    const version = parseInt(this.versionEl.value, 10);
+    const probabilities = {
+      HEADS: parseFloat(this.probHeadsEl.value),
+      TAILS: parseFloat(this.probTailsEl.value),
+      EDGE: parseFloat(this.probEdgeEl.value)
+    };
+
+    if (!serverSeed || !clientSeed || isNaN(nonce)) {
+      this.renderChecks([{ type: 'fail', text: 'Server seed, client seed and nonce are required' }]);
+      return;
+    }
+
+    this.verifyBtn.disabled = true;
+
+    try {
+      const flip = await FlipVerifier.calculateFlipResult({ serverSeed, clientSeed, nonce, version, probabilities });
+      this.renderFlip(flip, version);
+
+      const checks = [];
+      const serverSeedHash = await FlipVerifier.sha256(serverSeed);
+      checks.push({ type: 'info', text: `SHA256(serverSeed) = ${serverSeedHash}` });
+      checks.push(await this.checkChain(serverSeed));
+
+      if (this.bundle) {
+        checks.push(...await this.checkBundle(flip));
+      }
+
+      this.renderChecks(checks);
+    } catch (error) {
+      this.renderChecks([{ type: 'fail', text: error.message }]);
+    } finally {
+      this.verifyBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Hash the server seed forward until it reaches a published terminal hash
+   */
+  async checkChain(serverSeed) {
+    const rotations = this.publicData ? this.publicData.chainRotations : [];
+    if (!rotations.length) {
+      return { type: 'fail', text: 'No published chains to check against' };
+    }
+
+    const maxSteps = Math.max(...rotations.map(r => r.length));
+    const link = await FlipVerifier.walkChain(serverSeed, rotations.map(r => r.terminalHash), maxSteps);
+
+    if (!link.valid) {
+      return { type: 'fail', text: `Server seed does not hash to any published terminal hash within ${maxSteps} steps` };
+    }
+
+    const rotation = rotations.find(r => r.terminalHash === link.target);
+    return {
+      type: 'pass',
+      text: `Server seed is position ${link.distance - 1} of chain ${rotation.chainId} (terminal hash reached in ${link.distance} steps)`
+    };
+  }
+
+  /**
+   * Checks that need the loaded round's own record
+   */
+  async checkBundle(flip) {
+    const { inputs, chain, previous } = this.bundle;
+    const checks = [];
+
+    checks.push(flip.result === this.bundle.result
+      ? { type: 'pass', text: `Recorded result ${this.bundle.result} matches` }
+      : { type: 'fail', text: `Recorded result ${this.bundle.result} does not match ${flip.result}` });
+
+    if (inputs.resultMode === 'PLAYER_ENTROPY') {
+      const derived = await FlipVerifier.deriveClientSeed(inputs.baseClientSeed, inputs.contributions);
+      checks.push(derived === inputs.clientSeed
+        ? { type: 'pass', text: `Client seed derived from ${inputs.contributions.length} player seeds matches` }
+        : { type: 'fail', text: 'Client seed does not match the published player seeds' });
+    }
+
+    if (previous) {
+      const expected = chain.chainIndex - previous.chainIndex;
+      const link = await FlipVerifier.walkChain(inputs.serverSeed, previous.serverSeed, expected);
+      checks.push(link.valid && link.distance === expected
+        ? { type: 'pass', text: `Links to round ${previous.roundId} in ${expected} steps` }
+        : { type: 'fail', text: `Does not link to round ${previous.roundId}` });
+    }
+
+    return checks;
+  }
+
+  renderFlip(flip, version) {
+    this.resultEl.classList.add('visible');
+    this.coinImageEl.src = this.getCoinImagePath(flip.result);
+    this.resultTextEl.textContent = flip.result;
+    this.rollTextEl.textContent = version === 1
+      ? `Roll ${flip.roll.toFixed(4)} of 100 (first byte)`
+      : `Roll ${flip.roll} of 10000 (word at byte ${flip.offset}${flip.cursor ? `, cursor ${flip.cursor}` : ''})`;
+
+    // Highlight the bytes the roll was taken from
+    const start = version === 1 ? 0 : flip.offset;
+    const end = version === 1 ? 1 : flip.offset + 4;
+    this.hashBytesEl.innerHTML = '';
+
+    for (let i = 0; i < flip.hash.length / 2; i++) {
+      const byte = document.createElement('span');
+      byte.textContent = `${flip.hash.substr(i * 2, 2)} `;
+      if (i >= start && i < end) {
+        byte.className = 'used';
+      }
+      this.hashBytesEl.appendChild(byte);
+    }
+  }
+
+  renderChecks(checks) {
+    this.checksEl.innerHTML = '';
+
+    checks.forEach(check => {
+      const item = document.createElement('div');
+      item.className = `check ${check.type}`;
+      item.textContent = check.text;
+      item.style.marginTop = '8px';
+      this.checksEl.appendChild(item);
+    });
+  }
+
+  getCoinImagePath(result) {
+    if (result === 'TAILS') return 'assets/coins/tails.png';
+    if (result === 'EDGE') return 'assets/coins/edge1.png';
+    return 'assets/coins/heads.png';
+  }
+}
+
+// Initialize page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.provablyFairPage = new ProvablyFairPage();
+});
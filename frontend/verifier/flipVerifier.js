@@ -0,0 +1,178 @@
+/**
+ * Flip Game - Standalone Provably Fair Verifier
+ *
+ * Runs in browsers and Node (18+) with no dependencies, so players can check
+ * rounds without trusting the provider's server:
+ *
+ *   Browser: <script src="/verifier/flipVerifier.js"></script> -> window.FlipVerifier
+ *   Node:    const FlipVerifier = require('./flipVerifier');
+ *
+ * All functions are async because they use the Web Crypto API.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FlipVerifier = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const subtle = (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle)
+    || require('crypto').webcrypto.subtle;
+
+  const encoder = new TextEncoder();
+
+  // Algorithm v2 constants (see backend/engine/flipAlgorithms.js)
+  const UNITS = 10000;
+  const WORD_LIMIT = 2 ** 32 - (2 ** 32 % UNITS);
+  const MAX_CURSOR = 16;
+
+  function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * SHA256 of a string, as hex
+   */
+  async function sha256(message) {
+    const digest = await subtle.digest('SHA-256', encoder.encode(message));
+    return toHex(new Uint8Array(digest));
+  }
+
+  /**
+   * HMAC-SHA256(key, message) as bytes
+   */
+  async function hmacSha256(key, message) {
+    const cryptoKey = await subtle.importKey(
+      'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+    return new Uint8Array(signature);
+  }
+
+  function pickOutcome(value, heads, tails) {
+    if (value < heads) return 'HEADS';
+    if (value < heads + tails) return 'TAILS';
+    return 'EDGE';
+  }
+
+  /**
+   * Round client seed for PLAYER_ENTROPY rounds
+   */
+  async function deriveClientSeed(baseClientSeed, contributions) {
+    return sha256([baseClientSeed, ...[...contributions].sort()].join(':'));
+  }
+
+  /**
+   * Recompute a flip
+   * probabilities: { HEADS, TAILS, EDGE } as percentages (as published with the round)
+   * Returns { result, hash, roll } plus the word position for version 2
+   */
+  async function calculateFlipResult({ serverSeed, clientSeed, nonce, version, probabilities }) {
+    if (version === 1) {
+      const hash = await hmacSha256(serverSeed, `${clientSeed}:${nonce}`);
+      const roll = (hash[0] / 255) * 100;
+      return { result: pickOutcome(roll, probabilities.HEADS, probabilities.TAILS), hash: toHex(hash), roll };
+    }
+
+    if (version === 2) {
+      const heads = Math.round(probabilities.HEADS * 100);
+      const tails = Math.round(probabilities.TAILS * 100);
+
+      for (let cursor = 0; cursor < MAX_CURSOR; cursor++) {
+        const message = cursor === 0 ? `${clientSeed}:${nonce}` : `${clientSeed}:${nonce}:${cursor}`;
+        const hash = await hmacSha256(serverSeed, message);
+        const view = new DataView(hash.buffer);
+
+        for (let offset = 0; offset < hash.length; offset += 4) {
+          const word = view.getUint32(offset);
+          if (word >= WORD_LIMIT) continue;
+
+          const roll = word % UNITS;
+          return { result: pickOutcome(roll, heads, tails), hash: toHex(hash), roll, cursor, offset };
+        }
+      }
+
+      throw new Error('Could not derive a result within the sampling limit');
+    }
+
+    throw new Error(`Unknown algorithm version ${version}`);
+  }
+
+  /**
+   * Hash a revealed server seed forward until it reaches one of the target hashes
+   * Returns { valid, distance, target } where distance is the number of SHA256 steps
+   */
+  async function walkChain(serverSeed, targets, maxSteps) {
+    const wanted = new Set(Array.isArray(targets) ? targets : [targets]);
+    let hash = serverSeed;
+
+    for (let distance = 1; distance <= maxSteps; distance++) {
+      hash = await sha256(hash);
+      if (wanted.has(hash)) {
+        return { valid: true, distance, target: hash };
+      }
+    }
+
+    return { valid: false, distance: null, target: null };
+  }
+
+  /**
+   * Check a proof bundle from GET /provably-fair/rounds/:roundId
+   * rotations are the chain rotations published by GET /provably-fair (chainRotations), ideally
+   * saved before the round was played. The chain's terminal hash is taken from them rather than
+   * from the bundle, and a chain that was never published fails. Every other check is recomputed
+   * locally; nothing in the bundle is taken on trust.
+   */
+  async function verifyRound(bundle, rotations) {
+    const { inputs, chain, previous } = bundle;
+    const rotation = (rotations || []).find(r => r.chainId === chain.chainId);
+    const terminalHash = rotation ? rotation.terminalHash : null;
+
+    const clientSeed = inputs.resultMode === 'PLAYER_ENTROPY'
+      ? await deriveClientSeed(inputs.baseClientSeed, inputs.contributions)
+      : inputs.clientSeed;
+
+    const flip = await calculateFlipResult({
+      serverSeed: inputs.serverSeed,
+      clientSeed,
+      nonce: inputs.nonce,
+      version: bundle.algorithmVersion,
+      probabilities: bundle.probabilities
+    });
+
+    const expectedDistance = chain.chainIndex + 1;
+    const terminal = terminalHash
+      ? await walkChain(inputs.serverSeed, terminalHash, expectedDistance)
+      : { valid: false, distance: null, target: null };
+    const checks = {
+      clientSeed: clientSeed === inputs.clientSeed,
+      result: flip.result === bundle.result,
+      serverSeedHash: (await sha256(inputs.serverSeed)) === inputs.serverSeedHash,
+      published: { valid: terminalHash !== null && terminalHash === chain.terminalHash, chainId: chain.chainId, terminalHash },
+      terminal: { ...terminal, valid: terminal.valid && terminal.distance === expectedDistance }
+    };
+
+    if (previous) {
+      const expected = chain.chainIndex - previous.chainIndex;
+      const link = await walkChain(inputs.serverSeed, previous.serverSeed, expected);
+      checks.previous = { ...link, valid: link.valid && link.distance === expected };
+    }
+
+    const valid = checks.clientSeed && checks.result && checks.serverSeedHash && checks.published.valid && checks.terminal.valid
+      && (!checks.previous || checks.previous.valid);
+
+    return { valid, flip, checks };
+  }
+
+  return {
+    sha256,
+    hmacSha256,
+    deriveClientSeed,
+    calculateFlipResult,
+    walkChain,
+    verifyRound
+  };
+}));
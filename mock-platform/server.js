@@ -5,6 +5,7 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 app.use(express.json());
@@ -24,9 +25,22 @@ app.use((req, res, next) => {
 const CONFIG = {
   PORT: 4001,
   PROVIDER_URL: 'http://localhost:3001',
-  PLATFORM_CALLBACK_URL: 'http://localhost:4001/game-callbacks'
+  PLATFORM_CALLBACK_URL: 'http://localhost:4001/game-callbacks',
+  // This platform's entry in the provider's operator registry
+  OPERATOR_ID: 'demo-casino',
+  OPERATOR_SECRET: process.env.DEMO_CASINO_SECRET || 'your-provider-secret-key-change-in-production',
+  // How callback responses are signed: valid, none or invalid (to try the provider's checks)
+  RESPONSE_SIGNING: process.env.MOCK_RESPONSE_SIGNING || 'valid',
+  // Hold bet responses this long after applying them (above the provider's timeout, the bet is
+  // debited but the provider never hears back and has to resolve it)
+  BET_RESPONSE_DELAY_MS: Number(process.env.MOCK_BET_DELAY_MS) || 0,
+  // Transaction export requests must be timestamped this close to the platform's clock
+  EXPORT_MAX_SKEW_MS: 5 * 60 * 1000
 };
 
+// Digits after the decimal point, per currency (amounts are decimal strings on the wire)
+const CURRENCY_DECIMALS = { EUR: 2, USD: 2, JPY: 0, BTC: 8 };
+
 // ==================
 // In-Memory Database
 // ==================
@@ -35,29 +49,49 @@ const users = new Map();
 const transactions = [];
 let transactionCounter = 1;
 
-// Create some demo users
+// Bet, win and rollback callbacks already answered, by requestId
+const processedRequests = new Map(); // requestId -> { fingerprint, response, statusCode }
+
+// Bet requestIds rolled back before the bet arrived; the bet is refused if it turns up later
+const cancelledBets = new Set();
+
+// Create some demo users (balances in minor units)
 function initDemoUsers() {
   users.set('player1', {
     id: 'player1',
     username: 'DemoPlayer1',
-    balance: 1000.00,
+    balance: 100000,
     currency: 'EUR'
   });
 
   users.set('player2', {
     id: 'player2',
     username: 'DemoPlayer2',
-    balance: 500.00,
+    balance: 50000,
     currency: 'EUR'
   });
 
   users.set('player3', {
     id: 'player3',
     username: 'HighRoller',
-    balance: 10000.00,
+    balance: 1000000,
     currency: 'EUR'
   });
 
+  users.set('player4', {
+    id: 'player4',
+    username: 'TokyoPlayer',
+    balance: 150000,
+    currency: 'JPY'
+  });
+
+  users.set('player5', {
+    id: 'player5',
+    username: 'SatoshiFan',
+    balance: 5000000,
+    currency: 'BTC'
+  });
+
   console.log('[Platform] Demo users initialized');
 }
 
@@ -65,39 +99,195 @@ function initDemoUsers() {
 // Helper Functions
 // ==================
 
+/**
+ * Parse a decimal amount string into minor units of a currency (null if malformed)
+ */
+function toMinor(value, currency) {
+  const decimals = CURRENCY_DECIMALS[currency];
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(typeof value === 'string' ? value : '');
+  if (decimals === undefined || !match || (match[2] || '').length > decimals) {
+    return null;
+  }
+  return Number(match[1] + (match[2] || '').padEnd(decimals, '0'));
+}
+
+/**
+ * Format minor units of a currency as a decimal string
+ */
+function toDecimal(minor, currency) {
+  const decimals = CURRENCY_DECIMALS[currency];
+  const digits = String(Math.abs(minor)).padStart(decimals + 1, '0');
+  const sign = minor < 0 ? '-' : '';
+  return decimals === 0 ? `${sign}${digits}` : `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+/**
+ * Reject a callback whose amount or currency does not match the player's account
+ */
+function readCallbackAmount(res, user, value, currency) {
+  const amount = currency === user.currency ? toMinor(value, currency) : null;
+  if (amount === null) {
+    res.json({
+      status: 'ERROR',
+      code: 'INVALID_AMOUNT',
+      message: `Expected a ${user.currency} amount as a decimal string`
+    });
+  }
+  return amount;
+}
+
+/**
+ * A user as shown by the platform API, with a decimal balance
+ */
+function describeUser(user) {
+  return { ...user, balance: toDecimal(user.balance, user.currency) };
+}
+
 function generateTransactionId() {
   return `TXN-${Date.now()}-${transactionCounter++}`;
 }
 
-function recordTransaction(type, playerId, amount, roundId, details = {}) {
+function recordTransaction(type, user, amount, roundId, details = {}) {
   const tx = {
     id: generateTransactionId(),
     type,
-    playerId,
-    amount,
+    playerId: user.id,
+    amount: toDecimal(amount, user.currency),
+    currency: user.currency,
     roundId,
     timestamp: Date.now(),
     ...details
   };
   transactions.push(tx);
-  console.log(`[Platform] Transaction: ${type} | Player: ${playerId} | Amount: ${amount} | TxID: ${tx.id}`);
+  console.log(`[Platform] Transaction: ${type} | Player: ${user.id} | Amount: ${tx.amount} ${tx.currency} | TxID: ${tx.id}`);
   return tx;
 }
 
+/**
+ * Sign a /session/init request: HMAC-SHA256 over playerId, currency, token,
+ * timestamp, callbackBaseUrl and tableId (empty if not sent) joined with newlines
+ */
+function signSessionInit({ playerId, currency, token, timestamp, callbackBaseUrl, tableId }) {
+  const message = [playerId, currency, token, timestamp, callbackBaseUrl, tableId || ''].join('\n');
+  return crypto.createHmac('sha256', CONFIG.OPERATOR_SECRET).update(message).digest('hex');
+}
+
+/**
+ * Sign every callback response for the provider to verify
+ * X-Platform-Signature: hex HMAC-SHA256(secret, request's X-Provider-Signature + "\n" + raw body)
+ */
+function signResponses(req, res, next) {
+  res.json = body => {
+    const raw = JSON.stringify(body);
+    const message = `${req.get('X-Provider-Signature') || ''}\n${raw}`;
+
+    if (CONFIG.RESPONSE_SIGNING !== 'none') {
+      const key = CONFIG.RESPONSE_SIGNING === 'invalid' ? 'not-the-operator-secret' : CONFIG.OPERATOR_SECRET;
+      res.set('X-Platform-Signature', crypto.createHmac('sha256', key).update(message).digest('hex'));
+    }
+
+    return res.type('application/json').send(raw);
+  };
+  next();
+}
+
+/**
+ * Identify what a callback asks for, ignoring the send timestamp
+ */
+function requestFingerprint(type, body) {
+  const { timestamp, ...fields } = body;
+  return JSON.stringify([type, Object.keys(fields).sort().map(key => [key, fields[key]])]);
+}
+
+/**
+ * Answer a repeated requestId with the original response instead of applying it again
+ *
+ * Contract: the first response for a requestId (other than a 5xx) is final.
+ * Sending the same requestId with the same payload returns that response unchanged;
+ * sending it with a different payload is rejected with IDEMPOTENCY_CONFLICT.
+ */
+function idempotent(type) {
+  return (req, res, next) => {
+    const { requestId } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({
+        status: 'ERROR',
+        code: 'MISSING_REQUEST_ID',
+        message: 'requestId is required'
+      });
+    }
+
+    const fingerprint = requestFingerprint(type, req.body);
+    const processed = processedRequests.get(requestId);
+
+    if (processed) {
+      if (processed.fingerprint !== fingerprint) {
+        console.warn(`[Platform] ${type.toUpperCase()} ${requestId} reused with a different payload`);
+        return res.status(409).json({
+          status: 'ERROR',
+          code: 'IDEMPOTENCY_CONFLICT',
+          message: `Request ${requestId} was already processed with a different payload`
+        });
+      }
+
+      console.log(`[Platform] ${type.toUpperCase()} ${requestId} already processed, replaying response`);
+      return res.status(processed.statusCode).json(processed.response);
+    }
+
+    // Record the response the handler sends
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 500) {
+        processedRequests.set(requestId, { fingerprint, response: body, statusCode: res.statusCode });
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Send responses ms after the handler produced them (the request is applied at once)
+ */
+function delayResponses(ms) {
+  return (req, res, next) => {
+    if (ms > 0) {
+      const json = res.json.bind(res);
+      res.json = body => {
+        setTimeout(() => json(body), ms);
+        return res;
+      };
+    }
+    next();
+  };
+}
+
 // ==================
 // Game Callback Endpoints
 // (Called by the game provider)
 // ==================
 
+app.use('/game-callbacks', signResponses);
+
 /**
  * POST /game-callbacks/bet
  * Provider calls this to deduct player balance for a bet
  */
-app.post('/game-callbacks/bet', (req, res) => {
+app.post('/game-callbacks/bet', delayResponses(CONFIG.BET_RESPONSE_DELAY_MS), idempotent('bet'), (req, res) => {
   const { requestId, roundId, playerId, sessionId, amount, currency } = req.body;
 
   console.log(`[Platform] BET callback: player=${playerId}, amount=${amount}, round=${roundId}`);
 
+  if (cancelledBets.has(requestId)) {
+    return res.json({
+      status: 'ERROR',
+      code: 'BET_CANCELLED',
+      message: 'This bet was rolled back before it arrived'
+    });
+  }
+
   const user = users.get(playerId);
 
   if (!user) {
@@ -108,25 +298,27 @@ app.post('/game-callbacks/bet', (req, res) => {
     });
   }
 
-  if (user.balance < amount) {
+  const debit = readCallbackAmount(res, user, amount, currency);
+  if (debit === null) return;
+
+  if (user.balance < debit) {
     return res.json({
       status: 'ERROR',
       code: 'INSUFFICIENT_FUNDS',
-      message: `Insufficient balance. Available: ${user.balance.toFixed(2)} ${user.currency}`
+      message: `Insufficient balance. Available: ${toDecimal(user.balance, user.currency)} ${user.currency}`
     });
   }
 
   // Deduct balance
-  user.balance -= amount;
-  user.balance = Math.round(user.balance * 100) / 100;
+  user.balance -= debit;
 
   // Record transaction
-  const tx = recordTransaction('BET', playerId, -amount, roundId, { requestId, sessionId });
+  const tx = recordTransaction('BET', user, -debit, roundId, { requestId, sessionId });
 
   res.json({
     status: 'OK',
     transactionId: tx.id,
-    newBalance: user.balance
+    newBalance: toDecimal(user.balance, user.currency)
   });
 });
 
@@ -134,7 +326,7 @@ app.post('/game-callbacks/bet', (req, res) => {
  * POST /game-callbacks/win
  * Provider calls this to credit player winnings
  */
-app.post('/game-callbacks/win', (req, res) => {
+app.post('/game-callbacks/win', idempotent('win'), (req, res) => {
   const { requestId, roundId, playerId, sessionId, betAmount, winAmount, currency, betTransactionId } = req.body;
 
   console.log(`[Platform] WIN callback: player=${playerId}, win=${winAmount}, round=${roundId}`);
@@ -149,12 +341,14 @@ app.post('/game-callbacks/win', (req, res) => {
     });
   }
 
+  const credit = readCallbackAmount(res, user, winAmount, currency);
+  if (credit === null) return;
+
   // Credit winnings
-  user.balance += winAmount;
-  user.balance = Math.round(user.balance * 100) / 100;
+  user.balance += credit;
 
   // Record transaction
-  const tx = recordTransaction('WIN', playerId, winAmount, roundId, {
+  const tx = recordTransaction('WIN', user, credit, roundId, {
     requestId,
     sessionId,
     betTransactionId,
@@ -164,16 +358,19 @@ app.post('/game-callbacks/win', (req, res) => {
   res.json({
     status: 'OK',
     transactionId: tx.id,
-    newBalance: user.balance
+    newBalance: toDecimal(user.balance, user.currency)
   });
 });
 
 /**
  * POST /game-callbacks/rollback
  * Provider calls this to refund a bet
+ * The bet is found by originalTransactionId, or by betRequestId when the provider could not
+ * trust the bet's response or never got one; a bet that was never applied has nothing to refund,
+ * and is refused if it arrives after its rollback
  */
-app.post('/game-callbacks/rollback', (req, res) => {
-  const { requestId, roundId, playerId, sessionId, amount, currency, originalTransactionId, reason } = req.body;
+app.post('/game-callbacks/rollback', idempotent('rollback'), (req, res) => {
+  const { requestId, roundId, playerId, sessionId, amount, currency, originalTransactionId, betRequestId, reason } = req.body;
 
   console.log(`[Platform] ROLLBACK callback: player=${playerId}, amount=${amount}, reason=${reason}`);
 
@@ -187,25 +384,66 @@ app.post('/game-callbacks/rollback', (req, res) => {
     });
   }
 
+  const refund = readCallbackAmount(res, user, amount, currency);
+  if (refund === null) return;
+
+  const bet = transactions.find(tx => tx.type === 'BET' && tx.playerId === playerId &&
+    (originalTransactionId ? tx.id === originalTransactionId : tx.requestId === betRequestId));
+
+  if (!bet) {
+    if (betRequestId) {
+      cancelledBets.add(betRequestId);
+    }
+    console.log(`[Platform] ROLLBACK ${requestId}: no matching bet, nothing to refund`);
+    return res.json({
+      status: 'OK',
+      transactionId: null,
+      newBalance: toDecimal(user.balance, user.currency)
+    });
+  }
+
+  if (bet.amount !== toDecimal(-refund, user.currency)) {
+    return res.json({
+      status: 'ERROR',
+      code: 'AMOUNT_MISMATCH',
+      message: `Bet ${bet.id} was ${bet.amount.replace('-', '')} ${bet.currency}`
+    });
+  }
+
   // Refund the amount
-  user.balance += amount;
-  user.balance = Math.round(user.balance * 100) / 100;
+  user.balance += refund;
 
   // Record transaction
-  const tx = recordTransaction('ROLLBACK', playerId, amount, roundId, {
+  const tx = recordTransaction('ROLLBACK', user, refund, roundId, {
     requestId,
     sessionId,
-    originalTransactionId,
+    originalTransactionId: bet.id,
     reason
   });
 
   res.json({
     status: 'OK',
     transactionId: tx.id,
-    newBalance: user.balance
+    newBalance: toDecimal(user.balance, user.currency)
   });
 });
 
+/**
+ * POST /game-callbacks/status
+ * Provider calls this when it got no usable response to a callback
+ * found: false means the request was never processed; otherwise response is the original answer
+ */
+app.post('/game-callbacks/status', (req, res) => {
+  const { requestId } = req.body;
+
+  console.log(`[Platform] STATUS query: request=${requestId}`);
+
+  const processed = processedRequests.get(requestId);
+  res.json(processed
+    ? { status: 'OK', requestId, found: true, response: processed.response }
+    : { status: 'OK', requestId, found: false });
+});
+
 /**
  * POST /game-callbacks/balance
  * Provider calls this to get current player balance
@@ -227,7 +465,7 @@ app.post('/game-callbacks/balance', (req, res) => {
 
   res.json({
     status: 'OK',
-    balance: user.balance,
+    balance: toDecimal(user.balance, user.currency),
     currency: user.currency
   });
 });
@@ -244,7 +482,7 @@ app.get('/api/users', (req, res) => {
   const userList = Array.from(users.values()).map(u => ({
     id: u.id,
     username: u.username,
-    balance: u.balance,
+    balance: toDecimal(u.balance, u.currency),
     currency: u.currency
   }));
   res.json(userList);
@@ -259,7 +497,7 @@ app.get('/api/users/:id', (req, res) => {
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
-  res.json(user);
+  res.json(describeUser(user));
 });
 
 /**
@@ -274,29 +512,85 @@ app.post('/api/users/:id/deposit', (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  user.balance += parseFloat(amount);
-  user.balance = Math.round(user.balance * 100) / 100;
+  const deposit = toMinor(String(amount), user.currency);
+  if (!deposit) {
+    return res.status(400).json({ error: `Invalid ${user.currency} amount` });
+  }
+
+  user.balance += deposit;
 
-  recordTransaction('DEPOSIT', user.id, amount, null);
+  recordTransaction('DEPOSIT', user, deposit, null);
 
-  res.json({ success: true, newBalance: user.balance });
+  res.json({ success: true, newBalance: toDecimal(user.balance, user.currency) });
 });
 
 /**
- * GET /api/transactions
- * List recent transactions
+ * Refuse a transaction export request the provider did not sign, or signed too long ago
+ * X-Provider-Signature: hex HMAC-SHA256(secret, raw query string), which carries a timestamp (ms)
  */
-app.get('/api/transactions', (req, res) => {
+function verifyExportRequest(req, res, next) {
+  const url = req.originalUrl;
+  const query = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  const expected = crypto.createHmac('sha256', CONFIG.OPERATOR_SECRET).update(query).digest('hex');
+  const signature = Buffer.from(String(req.get('X-Provider-Signature') || '').toLowerCase());
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, Buffer.from(expected))) {
+    return res.status(401).json({ status: 'ERROR', code: 'INVALID_SIGNATURE', message: 'Invalid export signature' });
+  }
+
+  const timestamp = Number(req.query.timestamp);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > CONFIG.EXPORT_MAX_SKEW_MS) {
+    return res.status(401).json({ status: 'ERROR', code: 'STALE_REQUEST', message: 'Export request timestamp is too old' });
+  }
+
+  next();
+}
+
+/**
+ * Recent transactions, newest first (since: only those at or after this time, in ms)
+ */
+function listTransactions(req) {
   const limit = parseInt(req.query.limit) || 50;
-  res.json(transactions.slice(-limit).reverse());
+  const since = parseInt(req.query.since) || 0;
+  return transactions.filter(tx => tx.timestamp >= since).slice(-limit).reverse();
+}
+
+/**
+ * GET /api/transactions?since=&limit=&timestamp=
+ * The platform's transaction export, read by the provider's reconciliation job (signed)
+ */
+app.get('/api/transactions', verifyExportRequest, (req, res) => {
+  res.json(listTransactions(req));
+});
+
+/**
+ * GET /api/recent-transactions?limit=
+ * Recent transactions for this demo page
+ */
+app.get('/api/recent-transactions', (req, res) => {
+  res.json(listTransactions(req));
+});
+
+/**
+ * GET /api/tables
+ * List the provider's tables open to this operator
+ */
+app.get('/api/tables', async (req, res) => {
+  try {
+    const response = await fetch(`${CONFIG.PROVIDER_URL}/tables?operatorId=${encodeURIComponent(CONFIG.OPERATOR_ID)}`);
+    res.json(await response.json());
+  } catch (error) {
+    console.error('[Platform] Failed to load tables:', error.message);
+    res.status(502).json({ error: error.message });
+  }
 });
 
 /**
  * POST /api/launch-game
- * Initialize a game session with the provider
+ * Initialize a game session with the provider (optionally on a specific table)
  */
 app.post('/api/launch-game', async (req, res) => {
-  const { playerId } = req.body;
+  const { playerId, tableId } = req.body;
 
   const user = users.get(playerId);
   if (!user) {
@@ -304,23 +598,30 @@ app.post('/api/launch-game', async (req, res) => {
   }
 
   try {
+    const init = {
+      playerId: user.id,
+      currency: user.currency,
+      token: `token-${crypto.randomUUID()}`, // Single use: the provider rejects replayed tokens
+      timestamp: Date.now(),
+      callbackBaseUrl: CONFIG.PLATFORM_CALLBACK_URL,
+      tableId
+    };
+
     // Call provider to initialize session
     const response = await fetch(`${CONFIG.PROVIDER_URL}/session/init`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        playerId: user.id,
-        currency: user.currency,
-        token: `token-${Date.now()}`,
-        timestamp: Date.now(),
-        callbackBaseUrl: CONFIG.PLATFORM_CALLBACK_URL
+        operatorId: CONFIG.OPERATOR_ID,
+        ...init,
+        signature: signSessionInit(init)
       })
     });
 
     const data = await response.json();
 
     if (!data.success) {
-      throw new Error(data.error || 'Failed to initialize session');
+      throw new Error(data.message || 'Failed to initialize session');
     }
 
     res.json({
@@ -351,8 +652,10 @@ app.use(express.static(__dirname));
 
 initDemoUsers();
 
-app.listen(CONFIG.PORT, () => {
-  console.log(`
+// Listen when run directly; the tests require the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(CONFIG.PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║              MOCK PLATFORM SERVER (FLIP)                       ║
 ╠═══════════════════════════════════════════════════════════════╣
@@ -365,13 +668,18 @@ app.listen(CONFIG.PORT, () => {
 ║  - player1 (DemoPlayer1)  - 1000.00 EUR                       ║
 ║  - player2 (DemoPlayer2)  - 500.00 EUR                         ║
 ║  - player3 (HighRoller)   - 10000.00 EUR                      ║
+║  - player4 (TokyoPlayer)  - 150000 JPY                        ║
+║  - player5 (SatoshiFan)   - 0.05000000 BTC                    ║
 ║                                                               ║
 ║  Callback Endpoints:                                          ║
 ║  - POST /game-callbacks/bet                                   ║
 ║  - POST /game-callbacks/win                                   ║
 ║  - POST /game-callbacks/rollback                              ║
 ║  - POST /game-callbacks/balance                               ║
+║  - POST /game-callbacks/status                                ║
 ╚═══════════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
+module.exports = app;
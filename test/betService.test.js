@@ -0,0 +1,202 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { isolate, stubModule } = require('./helpers');
+
+isolate({ ALLOW_UNSIGNED_SESSIONS: 'true' });
+
+// Stub platform: placeBet() answers with whatever the current test sets
+const platform = {
+  calls: 0,
+  answer: null,
+  creditWin: null
+};
+const queued = [];
+const rollbacks = [];
+
+stubModule('services/callbackService', {
+  async placeBet({ betSequence }) {
+    platform.calls++;
+    return platform.answer(betSequence);
+  },
+  async creditWin(params) {
+    return platform.creditWin(params);
+  },
+  async rollback(params) {
+    rollbacks.push(params);
+    return { success: true, transactionId: null, newBalance: null, requestId: params.requestId };
+  },
+  getRequestId: (type, roundId, playerId, betSequence) => `${type}-${roundId}-${playerId}-${betSequence}`
+});
+stubModule('services/settlementService', {
+  enqueue(type, params) {
+    queued.push({ type, params });
+    return { id: params.requestId };
+  }
+});
+
+const betService = require('../backend/services/betService');
+const sessionService = require('../backend/services/sessionService');
+const tableService = require('../backend/services/tableService');
+const money = require('../backend/util/money');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let sessionId;
+
+before(() => {
+  // Open a betting round the way roundService does
+  const { flipEngine, journal } = tableService.requireTable('main');
+  flipEngine.initialize();
+  flipEngine.generateRound();
+  journal.recordRound(flipEngine.startBettingPhase());
+
+  ({ sessionId } = sessionService.createSession({
+    operatorId: 'demo-casino',
+    playerId: 'player1',
+    currency: 'EUR',
+    token: 'test-token',
+    callbackBaseUrl: 'http://localhost:4001/game-callbacks',
+    tableId: 'main'
+  }));
+});
+
+beforeEach(() => {
+  platform.calls = 0;
+  // The platform takes a moment to debit, so overlapping requests are really in flight together
+  platform.answer = async betSequence => {
+    await delay(20);
+    return { success: true, transactionId: `TXN-${betSequence}`, newBalance: 100000, requestId: `BET-${betSequence}` };
+  };
+});
+
+test('two bets at once for the same session: one is placed, the other gets BET_IN_PROGRESS', async () => {
+  const results = await Promise.allSettled([
+    betService.placeBet(sessionId, '10', 'HEADS'),
+    betService.placeBet(sessionId, '10', 'HEADS')
+  ]);
+
+  const placed = results.filter(result => result.status === 'fulfilled');
+  const refused = results.filter(result => result.status === 'rejected');
+
+  assert.strictEqual(placed.length, 1);
+  assert.strictEqual(placed[0].value.success, true);
+  assert.strictEqual(refused.length, 1);
+  assert.strictEqual(refused[0].reason.code, 'BET_IN_PROGRESS');
+
+  // The refused request never reached the platform
+  assert.strictEqual(platform.calls, 1);
+});
+
+test('the player lock and the reserved liability are released when the bet callback throws', async () => {
+  platform.answer = async () => {
+    await delay(5);
+    throw new Error('platform exploded');
+  };
+
+  const { flipEngine } = tableService.requireTable('main');
+  const liability = flipEngine.getLiability('EUR');
+
+  await assert.rejects(betService.placeBet(sessionId, '10', 'HEADS'), /platform exploded/);
+  assert.strictEqual(betService.playersInFlight.size, 0);
+
+  // The payout reserved for the bet is given back
+  assert.deepStrictEqual(flipEngine.getLiability('EUR'), liability);
+
+  // The next bet is not refused with BET_IN_PROGRESS
+  platform.answer = async betSequence => ({ success: true, transactionId: `TXN-${betSequence}`, newBalance: 100000 });
+  const result = await betService.placeBet(sessionId, '10', 'TAILS');
+  assert.strictEqual(result.success, true);
+});
+
+test('withPlayerLock releases the lock when the operation throws', async () => {
+  await assert.rejects(
+    betService.withPlayerLock('demo-casino:player2', async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+
+  const value = await betService.withPlayerLock('demo-casino:player2', async () => 'ran');
+  assert.strictEqual(value, 'ran');
+});
+
+test('a win whose callback throws is queued in the settlement outbox', async () => {
+  const placed = await betService.placeBet(sessionId, '10', 'EDGE');
+  const { betId } = placed.bet;
+  const activeBet = betService.activeBets.get(betId);
+  const { roundId } = activeBet;
+
+  platform.creditWin = async () => {
+    throw new Error('Unknown operator');
+  };
+  const results = await betService.processRoundResults(roundId, [
+    { betId, playerId: activeBet.bet.playerId, betAmount: 1000, winAmount: 30000 }
+  ], []);
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].queued, true);
+  assert.strictEqual(queued.length, 1);
+  assert.strictEqual(queued[0].type, 'win');
+  assert.strictEqual(queued[0].params.requestId, `WIN-${roundId}-player1-${activeBet.bet.sequence}`);
+  assert.strictEqual(betService.activeBets.has(betId), false);
+});
+
+test('a bet that would pay more than maxWin is refused instead of capped', () => {
+  const { flipEngine } = tableService.requireTable('main');
+  const multiplier = flipEngine.currentRound.multipliers.EDGE;
+  const limits = { currency: 'EUR', maxWin: 5000, maxRoundLiability: 100000000 };
+
+  const maxStake = flipEngine.getMaxWinStake('EDGE', limits.maxWin);
+  assert.ok(money.applyMultiplier(maxStake, multiplier) <= limits.maxWin);
+  assert.ok(money.applyMultiplier(maxStake + 1, multiplier) > limits.maxWin);
+  assert.strictEqual(flipEngine.getMaxStake('EUR', 'EDGE', limits), maxStake);
+
+  assert.throws(
+    () => flipEngine.reserveLiability(flipEngine.reserveBetSequence(), maxStake + 1, 'EDGE', limits),
+    { code: 'BET_TOO_LARGE' }
+  );
+});
+
+test('a bet debited after its round ended is rolled back instead of joining the next round', async () => {
+  const { flipEngine, journal } = tableService.requireTable('main');
+  const { id: roundId } = flipEngine.currentRound;
+
+  // The round ends and the next one opens while the platform is still debiting
+  let debited;
+  platform.answer = betSequence => new Promise(resolve => {
+    debited = () => resolve({ success: true, transactionId: `TXN-${betSequence}`, newBalance: 100000 });
+  });
+  const pending = betService.placeBet(sessionId, '10', 'HEADS');
+  await delay(5);
+
+  flipEngine.startReveal();
+  flipEngine.finishRound();
+  flipEngine.generateRound();
+  journal.recordRound(flipEngine.startBettingPhase());
+  const nextRound = flipEngine.currentRound;
+  assert.notStrictEqual(nextRound.id, roundId);
+
+  debited();
+  await assert.rejects(pending, { code: 'BETTING_CLOSED' });
+
+  assert.strictEqual(nextRound.bets.size, 0);
+  assert.deepStrictEqual(flipEngine.getLiability('EUR'), { HEADS: 0, TAILS: 0, EDGE: 0 });
+  assert.strictEqual(rollbacks.length, 1);
+  assert.strictEqual(rollbacks[0].roundId, roundId);
+  assert.strictEqual(rollbacks[0].reason, 'REGISTRATION_FAILED');
+});
+
+test('the client seed cannot be rotated while a bet is being placed', async () => {
+  let debited;
+  platform.answer = betSequence => new Promise(resolve => {
+    debited = () => resolve({ success: true, transactionId: `TXN-${betSequence}`, newBalance: 100000 });
+  });
+  const pending = betService.placeBet(sessionId, '10', 'TAILS');
+  await delay(5);
+
+  await assert.rejects(betService.setClientSeed(sessionId, 'rotated-seed'), { code: 'BET_IN_PROGRESS' });
+
+  debited();
+  const result = await pending;
+  assert.strictEqual(result.bet.clientSeed, sessionService.getSeedPair(sessionId).clientSeed);
+});
@@ -0,0 +1,92 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { isolate, stubModule } = require('./helpers');
+
+isolate();
+
+// Ledger stub: keeps the status each leg was last given
+const ledger = new Map();
+stubModule('services/ledgerService', {
+  open: leg => ledger.set(leg.requestId, 'PENDING'),
+  update: (requestId, { status }) => ledger.set(requestId, status),
+  resolveBet: () => {}
+});
+
+const platform = require('../mock-platform/server');
+const callbackService = require('../backend/services/callbackService');
+const platformHealthService = require('../backend/services/platformHealthService');
+
+let server;
+let callbackBaseUrl;
+let bet;
+
+before(async () => {
+  server = platform.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  callbackBaseUrl = `http://127.0.0.1:${server.address().port}/game-callbacks`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  bet = {
+    operatorId: 'demo-casino',
+    callbackBaseUrl,
+    roundId: `F-test-${Date.now()}`,
+    playerId: 'player3',
+    sessionId: 'session-1',
+    amount: 1000,
+    currency: 'EUR',
+    betSequence: 1
+  };
+});
+
+test('a bet answered with 409 is rejected at once, without a status query', async () => {
+  const placed = await callbackService.placeBet(bet);
+  assert.strictEqual(placed.success, true);
+
+  // Same request ID, different amount
+  const result = await callbackService.placeBet({ ...bet, amount: 2000 });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'PLATFORM_REJECTED');
+  assert.strictEqual(result.details.platformCode, 'IDEMPOTENCY_CONFLICT');
+  assert.strictEqual(result.unresolved, undefined);
+  assert.strictEqual(ledger.get(result.requestId), 'NOT_APPLIED');
+
+  const endpoints = callbackService.getAttempts(result.requestId).attempts.map(attempt => attempt.endpoint);
+  assert.deepStrictEqual(endpoints, ['bet', 'bet']);
+});
+
+test('a win answered with 409 is not resent and does not count against the breaker', async () => {
+  const win = {
+    ...bet,
+    betAmount: 1000,
+    winAmount: 1950,
+    betTransactionId: 'TXN-1'
+  };
+  assert.strictEqual((await callbackService.creditWin(win)).success, true);
+
+  const result = await callbackService.creditWin({ ...win, winAmount: 3900 });
+
+  assert.strictEqual(result.code, 'PLATFORM_REJECTED');
+  assert.strictEqual(result.details.platformCode, 'IDEMPOTENCY_CONFLICT');
+  assert.strictEqual(callbackService.getAttempts(result.requestId).attempts.length, 2);
+
+  const health = platformHealthService.getEndpoint(callbackBaseUrl);
+  assert.strictEqual(health.state, 'CLOSED');
+  assert.strictEqual(health.consecutiveFailures, 0);
+});
+
+test('a callback without a requestId is rejected with the platform code', async () => {
+  const { secret } = require('../backend/services/operatorService').requireOperator('demo-casino');
+  const payload = { roundId: bet.roundId, playerId: bet.playerId, amount: '10.00', currency: 'EUR' };
+
+  await assert.rejects(
+    callbackService.makeRequest(callbackBaseUrl, 'bet', payload, secret),
+    error => error.code === 'PLATFORM_REJECTED' && error.details.platformCode === 'MISSING_REQUEST_ID'
+  );
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const FlipEngine = require('../backend/engine/flipEngine');
+const { MemoryStore } = require('../backend/storage/memoryStore');
+
+test('finished rounds past the history retention are pruned', () => {
+  const engine = new FlipEngine({
+    tableId: 'test',
+    settings: {},
+    oddsProfile: {},
+    seedManager: {},
+    storage: new MemoryStore(),
+    historyRetentionMs: 60 * 1000
+  });
+  const now = Date.now();
+  engine.roundHistory.set('F-test-old', { id: 'F-test-old', endTime: now - 2 * 60 * 1000 });
+  engine.roundHistory.set('F-test-recent', { id: 'F-test-recent', endTime: now - 1000 });
+
+  engine.pruneHistory();
+
+  assert.strictEqual(engine.getRound('F-test-old'), null);
+  assert.strictEqual(engine.getRound('F-test-recent').id, 'F-test-recent');
+  assert.deepStrictEqual(engine.getHistory().map(round => round.id), ['F-test-recent']);
+});
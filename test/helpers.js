@@ -0,0 +1,47 @@
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test helpers
+ * isolate() must run before anything from backend/ is required: config reads the environment once.
+ */
+
+/**
+ * Point the backend at in-memory storage and throwaway seed, journal and settlement
+ * directories (removed after the file's tests), with env overriding any variable
+ */
+function isolate(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flip-test-'));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    STORAGE_DATA_DIR: path.join(dataDir, 'store'),
+    SEED_DATA_DIR: path.join(dataDir, 'seeds'),
+    ROUND_JOURNAL_DIR: path.join(dataDir, 'rounds'),
+    SETTLEMENT_DATA_DIR: path.join(dataDir, 'settlements'),
+    SEED_AUTO_GENERATE: 'true',
+    ALLOW_UNSIGNED_SESSIONS: 'false',
+    ...env
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  return dataDir;
+}
+
+/**
+ * Put a stub in place of a backend module (path relative to backend/) before anything requires it
+ */
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(__dirname, '../backend', relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+module.exports = {
+  isolate,
+  stubModule
+};
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const app = require('../mock-platform/server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getBalance(playerId) {
+  const response = await fetch(`${baseUrl}/api/users/${playerId}`);
+  return (await response.json()).balance;
+}
+
+function betPayload(overrides = {}) {
+  return {
+    requestId: `BET-F-test-${crypto.randomUUID()}-player2-1`,
+    roundId: 'F-test-1',
+    playerId: 'player2',
+    sessionId: 'session-1',
+    amount: '10.00',
+    currency: 'EUR',
+    timestamp: Date.now(),
+    ...overrides
+  };
+}
+
+test('a bet resent with the same requestId is answered with the same transaction and debited once', async () => {
+  const balanceBefore = await getBalance('player2');
+  const payload = betPayload();
+
+  const first = await post('/game-callbacks/bet', payload);
+  const second = await post('/game-callbacks/bet', payload);
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.status, 'OK');
+  assert.deepStrictEqual(second, first);
+
+  const balanceAfter = await getBalance('player2');
+  assert.strictEqual(Number(balanceBefore) - Number(balanceAfter), 10);
+});
+
+test('a requestId reused with a different payload is refused with 409 IDEMPOTENCY_CONFLICT', async () => {
+  const payload = betPayload();
+  const first = await post('/game-callbacks/bet', payload);
+  assert.strictEqual(first.body.status, 'OK');
+  const balance = await getBalance('player2');
+
+  const conflict = await post('/game-callbacks/bet', { ...payload, amount: '20.00' });
+
+  assert.strictEqual(conflict.status, 409);
+  assert.strictEqual(conflict.body.code, 'IDEMPOTENCY_CONFLICT');
+  assert.strictEqual(await getBalance('player2'), balance);
+});
+
+test('a callback without a requestId is refused with 400 MISSING_REQUEST_ID', async () => {
+  const { requestId, ...payload } = betPayload();
+  const balance = await getBalance('player2');
+
+  const response = await post('/game-callbacks/bet', payload);
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.code, 'MISSING_REQUEST_ID');
+  assert.strictEqual(await getBalance('player2'), balance);
+});
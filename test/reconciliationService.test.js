@@ -0,0 +1,170 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { isolate } = require('./helpers');
+
+isolate();
+
+const { hmacSha256 } = require('../backend/util/hmac');
+const platform = require('../mock-platform/server');
+const ledgerService = require('../backend/services/ledgerService');
+const operatorService = require('../backend/services/operatorService');
+const reconciliationService = require('../backend/services/reconciliationService');
+
+// Export endpoint that records the requests it gets, and the mock platform's signed one
+const requests = [];
+let server;
+let platformServer;
+let transactionsUrl;
+let platformTransactionsUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req);
+    res.setHeader('Content-Type', 'application/json');
+    res.end('[]');
+  });
+  server.listen(0);
+  platformServer = platform.listen(0);
+  await Promise.all([server, platformServer].map(listening => new Promise(resolve => listening.once('listening', resolve))));
+  transactionsUrl = `http://127.0.0.1:${server.address().port}/api/transactions`;
+  platformTransactionsUrl = `http://127.0.0.1:${platformServer.address().port}/api/transactions`;
+});
+
+after(() => {
+  server.close();
+  platformServer.close();
+});
+
+test('the export request is signed with the operator secret', async () => {
+  const operator = { ...operatorService.requireOperator('demo-casino'), transactionsUrl };
+
+  const transactions = await reconciliationService.fetchExport(operator, 1700000000000);
+  assert.deepStrictEqual(transactions, []);
+
+  const [request] = requests;
+  const query = request.url.slice(request.url.indexOf('?') + 1);
+
+  assert.strictEqual(new URLSearchParams(query).get('since'), '1700000000000');
+  assert.strictEqual(request.headers['x-provider-signature'], hmacSha256(operator.secret, query));
+  assert.notStrictEqual(request.headers['x-provider-signature'], hmacSha256('another-secret', query));
+});
+
+test('the mock platform serves a signed export request', async () => {
+  const operator = { ...operatorService.requireOperator('demo-casino'), transactionsUrl: platformTransactionsUrl };
+
+  const transactions = await reconciliationService.fetchExport(operator, 0);
+  assert.ok(Array.isArray(transactions));
+});
+
+test('the mock platform refuses an export request with a bad signature', async () => {
+  const operator = {
+    ...operatorService.requireOperator('demo-casino'),
+    secret: 'another-secret',
+    transactionsUrl: platformTransactionsUrl
+  };
+
+  await assert.rejects(
+    reconciliationService.fetchExport(operator, 0),
+    error => error.code === 'PLATFORM_ERROR' && error.details.reason === 'HTTP 401'
+  );
+});
+
+test('the mock platform refuses a stale export request', async () => {
+  const { secret } = operatorService.requireOperator('demo-casino');
+  const query = new URLSearchParams({ since: 0, limit: 10, timestamp: Date.now() - 10 * 60 * 1000 }).toString();
+
+  const response = await fetch(`${platformTransactionsUrl}?${query}`, {
+    headers: { 'X-Provider-Signature': hmacSha256(secret, query) }
+  });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).code, 'STALE_REQUEST');
+});
+
+/**
+ * Open a ledger leg for player1 in EUR and give it a status
+ */
+function leg(type, roundId, amount, status, transactionId = null) {
+  const requestId = `${type}-${roundId}-player1-1`;
+  ledgerService.open({ type, requestId, operatorId: 'demo-casino', roundId, playerId: 'player1', amount, currency: 'EUR' });
+  ledgerService.update(requestId, { status, transactionId });
+  return requestId;
+}
+
+/**
+ * An export record of the platform, as /api/transactions lists it
+ */
+function record(type, requestId, roundId, amount, id) {
+  return { id, type, requestId, roundId, playerId: 'player1', amount, currency: 'EUR', timestamp: Date.now() };
+}
+
+test('reconcile reports every kind of issue per round, with the round totals', () => {
+  const transactions = [];
+
+  // Matching legs and records are not reported
+  transactions.push(record('bet', leg('BET', 'R-ok', 1000, 'APPLIED', 'TXN-1'), 'R-ok', '-10.00', 'TXN-1'));
+  transactions.push(record('win', leg('WIN', 'R-ok', 1950, 'APPLIED', 'TXN-2'), 'R-ok', '19.50', 'TXN-2'));
+
+  leg('BET', 'R-missing', 1000, 'APPLIED', 'TXN-3');
+  transactions.push(record('bet', 'BET-R-unknown-player1-1', 'R-unknown', '-5.00', 'TXN-4'));
+  transactions.push(record('bet', leg('BET', 'R-status', 1000, 'NOT_APPLIED'), 'R-status', '-10.00', 'TXN-5'));
+  transactions.push(record('bet', leg('BET', 'R-amount', 1000, 'APPLIED', 'TXN-6'), 'R-amount', '-12.00', 'TXN-6'));
+  transactions.push(record('win', leg('WIN', 'R-txid', 1950, 'APPLIED', 'TXN-7'), 'R-txid', '19.50', 'TXN-other'));
+
+  const duplicated = leg('BET', 'R-duplicate', 1000, 'APPLIED', 'TXN-8');
+  transactions.push(record('bet', duplicated, 'R-duplicate', '-10.00', 'TXN-8'));
+  transactions.push(record('bet', duplicated, 'R-duplicate', '-10.00', 'TXN-9'));
+
+  // Other transaction types are ignored
+  transactions.push({ id: 'TXN-10', type: 'deposit', playerId: 'player1', amount: '100.00', currency: 'EUR', timestamp: Date.now() });
+
+  const report = reconciliationService.reconcile('demo-casino', transactions, { from: 0, to: Date.now() + 1000 });
+  const rounds = new Map(report.rounds.map(round => [round.roundId, round]));
+  const kinds = roundId => rounds.get(roundId).issues.map(issue => issue.kind);
+
+  assert.deepStrictEqual(report.summary, {
+    legs: 7,
+    platformRecords: 8,
+    pending: 0,
+    rounds: 7,
+    roundsWithIssues: 6,
+    issues: 6
+  });
+  assert.strictEqual(rounds.has('R-ok'), false);
+
+  assert.deepStrictEqual(kinds('R-missing'), ['MISSING_ON_PLATFORM']);
+  assert.deepStrictEqual(rounds.get('R-missing').totals, { EUR: { provider: '-10.00', platform: '0.00', difference: '10.00' } });
+
+  assert.deepStrictEqual(kinds('R-unknown'), ['MISSING_IN_LEDGER']);
+  assert.strictEqual(rounds.get('R-unknown').issues[0].provider, null);
+  assert.deepStrictEqual(rounds.get('R-unknown').totals, { EUR: { provider: '0.00', platform: '-5.00', difference: '-5.00' } });
+
+  assert.deepStrictEqual(kinds('R-status'), ['STATUS_MISMATCH']);
+  assert.strictEqual(rounds.get('R-status').issues[0].provider.status, 'NOT_APPLIED');
+  assert.deepStrictEqual(rounds.get('R-status').totals, { EUR: { provider: '0.00', platform: '-10.00', difference: '-10.00' } });
+
+  assert.deepStrictEqual(kinds('R-amount'), ['AMOUNT_MISMATCH']);
+  assert.deepStrictEqual(rounds.get('R-amount').totals, { EUR: { provider: '-10.00', platform: '-12.00', difference: '-2.00' } });
+
+  assert.deepStrictEqual(kinds('R-txid'), ['TRANSACTION_ID_MISMATCH']);
+  assert.strictEqual(rounds.get('R-txid').issues[0].platform.transactionId, 'TXN-other');
+  assert.deepStrictEqual(rounds.get('R-txid').totals, { EUR: { provider: '19.50', platform: '19.50', difference: '0.00' } });
+
+  assert.deepStrictEqual(kinds('R-duplicate'), ['DUPLICATE_ON_PLATFORM']);
+  assert.strictEqual(rounds.get('R-duplicate').issues[0].platform.transactionId, 'TXN-9');
+  assert.deepStrictEqual(rounds.get('R-duplicate').totals, { EUR: { provider: '-10.00', platform: '-20.00', difference: '-10.00' } });
+});
+
+test('reconcile leaves out records and legs outside the window', () => {
+  leg('BET', 'R-old', 1000, 'APPLIED', 'TXN-11');
+  const old = record('bet', 'BET-R-stale-player1-1', 'R-stale', '-10.00', 'TXN-12');
+  old.timestamp = 1;
+
+  const report = reconciliationService.reconcile('demo-casino', [old], { from: Date.now() + 1000, to: Date.now() + 2000 });
+
+  assert.strictEqual(report.summary.legs, 0);
+  assert.strictEqual(report.summary.platformRecords, 0);
+  assert.deepStrictEqual(report.rounds, []);
+});
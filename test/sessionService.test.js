@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { isolate } = require('./helpers');
+
+isolate();
+
+const config = require('../backend/config');
+const storage = require('../backend/storage');
+
+// Sessions stored by an earlier process, on a table and for an operator no longer configured
+const storedSessions = storage.collection('sessions');
+for (const [sessionId, stored] of Object.entries({
+  'SESSION-removed-table': { tableId: 'removed-table', operatorId: 'demo-casino' },
+  'SESSION-removed-operator': { tableId: 'main', operatorId: 'removed-operator' }
+})) {
+  storedSessions.set(sessionId, { sessionId, playerKey: `${stored.operatorId}:player1`, expiresAt: Date.now() + 60000, ...stored });
+}
+
+const sessionService = require('../backend/services/sessionService');
+const tableService = require('../backend/services/tableService');
+
+const SECRET = config.OPERATORS['demo-casino'].SECRET;
+const CALLBACK_URL = 'http://localhost:4001/game-callbacks';
+
+before(() => {
+  // Sessions start at the table's current seed chain
+  tableService.requireTable('main').flipEngine.initialize();
+});
+
+function sign({ playerId, currency, token, timestamp, callbackBaseUrl, tableId }) {
+  const message = [playerId, currency, token, timestamp, callbackBaseUrl, tableId || ''].join('\n');
+  return crypto.createHmac('sha256', SECRET).update(message).digest('hex');
+}
+
+function initRequest(overrides = {}) {
+  const fields = {
+    playerId: 'player1',
+    currency: 'EUR',
+    token: `token-${crypto.randomUUID()}`,
+    timestamp: Date.now(),
+    callbackBaseUrl: CALLBACK_URL,
+    tableId: 'main',
+    ...overrides
+  };
+  return { operatorId: 'demo-casino', ...fields, signature: sign(fields) };
+}
+
+test('the table is part of the signed message', () => {
+  const request = initRequest({ tableId: 'main' });
+
+  assert.throws(() => sessionService.createSession({ ...request, tableId: 'fast' }), { code: 'INVALID_SIGNATURE' });
+  assert.strictEqual(sessionService.createSession(request).tableId, 'main');
+});
+
+test('a request without a table signs it as empty', () => {
+  const request = initRequest({ tableId: undefined });
+
+  assert.ok(sessionService.createSession(request).sessionId);
+});
+
+test('a request refused for its callback URL or currency does not use up its token', () => {
+  const token = `token-${crypto.randomUUID()}`;
+
+  assert.throws(
+    () => sessionService.createSession(initRequest({ token, callbackBaseUrl: 'https://attacker.example/callbacks' })),
+    { code: 'CALLBACK_URL_NOT_ALLOWED' }
+  );
+  assert.throws(
+    () => sessionService.createSession(initRequest({ token, currency: 'GBP' })),
+    { code: 'CURRENCY_NOT_SUPPORTED' }
+  );
+
+  const request = initRequest({ token });
+  assert.ok(sessionService.createSession(request).sessionId);
+  assert.throws(() => sessionService.createSession(request), { code: 'TOKEN_REUSED' });
+});
+
+test('stored sessions whose table or operator was removed are dropped at startup', () => {
+  assert.strictEqual(sessionService.getSession('SESSION-removed-table'), null);
+  assert.strictEqual(sessionService.getSession('SESSION-removed-operator'), null);
+});
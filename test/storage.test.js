@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryCollection } = require('../backend/storage/memoryStore');
+const { JsonLinesCollection } = require('../backend/storage/jsonLinesStore');
+
+function fill(collection, count) {
+  for (let i = 1; i <= count; i++) {
+    collection.set(`R${i}`, { id: `R${i}`, chainId: 'C1', chainIndex: i - 1, result: i % 2 ? 'HEADS' : 'TAILS' });
+  }
+}
+
+test('find() pages newest first, and oldest first on request', () => {
+  const rounds = new MemoryCollection('rounds');
+  fill(rounds, 10);
+
+  assert.deepStrictEqual(rounds.find(null, { limit: 3 }).map(r => r.id), ['R10', 'R9', 'R8']);
+  assert.deepStrictEqual(rounds.find(null, { limit: 2, offset: 3 }).map(r => r.id), ['R7', 'R6']);
+  assert.deepStrictEqual(rounds.find(r => r.result === 'HEADS', { limit: 2, offset: 1 }).map(r => r.id), ['R7', 'R5']);
+  assert.deepStrictEqual(rounds.find(null, { limit: 2, oldestFirst: true }).map(r => r.id), ['R1', 'R2']);
+});
+
+test('find() follows Map order through deletes and re-inserts', () => {
+  const rounds = new MemoryCollection('rounds');
+  fill(rounds, 200);
+  for (let i = 1; i <= 150; i++) rounds.delete(`R${i}`);
+  rounds.set('R160', { id: 'R160' }); // Updating keeps the position
+  rounds.delete('R170');
+  rounds.set('R170', { id: 'R170' }); // Re-inserting moves it to the end
+
+  const expected = Array.from(rounds.values()).reverse().map(r => r.id);
+  assert.deepStrictEqual(rounds.find().map(r => r.id), expected);
+  assert.strictEqual(rounds.find()[0].id, 'R170');
+  assert.strictEqual(rounds.find().length, 50);
+});
+
+test('an index finds values by index key and follows updates and deletes', () => {
+  const rounds = new MemoryCollection('rounds');
+  fill(rounds, 3);
+  rounds.addIndex('chainPosition', r => (r.chainId ? `${r.chainId}:${r.chainIndex}` : null));
+  rounds.set('R4', { id: 'R4', chainId: 'C2', chainIndex: 0 });
+  rounds.set('R5', { id: 'R5' });
+
+  assert.strictEqual(rounds.getBy('chainPosition', 'C1:1').id, 'R2');
+  assert.strictEqual(rounds.getBy('chainPosition', 'C2:0').id, 'R4');
+
+  rounds.set('R2', { id: 'R2', chainId: 'C1', chainIndex: 7 });
+  assert.strictEqual(rounds.getBy('chainPosition', 'C1:1'), undefined);
+  assert.strictEqual(rounds.getBy('chainPosition', 'C1:7').id, 'R2');
+
+  rounds.delete('R4');
+  assert.strictEqual(rounds.getBy('chainPosition', 'C2:0'), undefined);
+  assert.throws(() => rounds.getBy('missing', 'x'), /no index missing/);
+});
+
+test('a JSON-lines collection replays its log with order and indexes intact', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flip-storage-'));
+  const options = { filePath: path.join(dataDir, 'rounds.jsonl'), compactMinLines: 1000, compactRatio: 4 };
+
+  try {
+    const written = new JsonLinesCollection('rounds', options);
+    fill(written, 5);
+    written.delete('R2');
+
+    const replayed = new JsonLinesCollection('rounds', options);
+    replayed.addIndex('chainPosition', r => `${r.chainId}:${r.chainIndex}`);
+
+    assert.deepStrictEqual(replayed.find().map(r => r.id), ['R5', 'R4', 'R3', 'R1']);
+    assert.strictEqual(replayed.getBy('chainPosition', 'C1:3').id, 'R4');
+    assert.strictEqual(replayed.getBy('chainPosition', 'C1:1'), undefined);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});